@@ -0,0 +1,47 @@
+// Helpers for reconnecting a call to ElevenLabs when the agent connection drops
+
+// Delay before each reconnect attempt; the last one repeats until the call gives up
+export const RECONNECT_DELAYS_MS = [250, 1000, 2000, 4000];
+
+export const getReconnectDelay = (attempt) =>
+  RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+
+// Caller audio kept while the agent is away. Only the latest chunks are kept,
+// so the agent hears what the caller just said rather than a long backlog.
+export const createAudioBuffer = (maxChunks) => {
+  const chunks = [];
+
+  return {
+    push(chunk) {
+      chunks.push(chunk);
+      if (chunks.length > maxChunks) {
+        chunks.shift();
+      }
+    },
+    // Returns the buffered chunks in order and empties the buffer
+    drain() {
+      return chunks.splice(0);
+    },
+    get size() {
+      return chunks.length;
+    },
+  };
+};
+
+// Helper function to extend the prompt of a reconnected conversation with what was said so far,
+// so the agent picks up where it left off instead of starting over
+export const buildResumePrompt = (prompt, transcript, maxTurns = 20) => {
+  if (!transcript.length) {
+    return prompt;
+  }
+
+  const conversation = transcript
+    .slice(-maxTurns)
+    .map(({ role, message }) => `${role === 'agent' ? 'Agent' : 'Caller'}: ${message}`)
+    .join('\n');
+
+  return `${prompt || ''}
+
+The call was briefly interrupted by a technical problem. This is the conversation so far; continue it without greeting the caller again:
+${conversation}`.trim();
+};
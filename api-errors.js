@@ -0,0 +1,73 @@
+// Error responses of the API. Every error has the same shape:
+// { success: false, error: { code, message, details? } }
+
+// Error codes and the HTTP status each one is sent with
+export const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 400,
+  TEMPLATE_NOT_FOUND: 400,
+  MISSING_VARIABLES: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  INVALID_SIGNATURE: 403,
+  DO_NOT_CALL: 403,
+  OUTSIDE_CALLING_HOURS: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  NO_CALLER_ID: 409,
+  RATE_LIMITED: 429,
+  ATTEMPT_LIMIT_REACHED: 429,
+  CALLER_IDS_EXHAUSTED: 429,
+  INTERNAL_ERROR: 500,
+  TWILIO_ERROR: 502,
+  DELIVERY_FAILED: 502,
+  SPEECH_FAILED: 502,
+  NOT_READY: 503,
+};
+
+// Helper function to send an error in the common shape
+export const sendError = (reply, code, message, details, statusCode = ERROR_CODES[code] || 500) =>
+  reply.code(statusCode).send({
+    success: false,
+    error: {
+      code,
+      message,
+      ...(details !== undefined ? { details } : {}),
+    },
+  });
+
+// Helper function to report a failed Twilio API request with Twilio's own code and reason.
+// Requests Twilio rejects (e.g. 21211, invalid 'To' number) are the caller's problem and come back as 400.
+export const sendTwilioError = (reply, error, message) => {
+  if (!error?.code || !error?.status) {
+    return sendError(reply, 'INTERNAL_ERROR', message);
+  }
+
+  const statusCode = error.status === 429 ? 429 : error.status === 400 || error.status === 404 ? 400 : 502;
+  return sendError(reply, 'TWILIO_ERROR', `${message}: ${error.message}`, {
+    twilio_code: error.code,
+    twilio_status: error.status,
+    more_info: error.moreInfo,
+  }, statusCode);
+};
+
+// Fastify error handler: schema validation errors list every failing field
+export const handleRequestError = (error, request, reply) => {
+  if (error.validation) {
+    return sendError(reply, 'VALIDATION_FAILED', error.message, error.validation.map((issue) => ({
+      field: `${error.validationContext}${issue.instancePath}`.replace(/\//g, '.'),
+      message: issue.message,
+    })));
+  }
+
+  if (error.statusCode && error.statusCode < 500) {
+    return sendError(reply, 'BAD_REQUEST', error.message, undefined, error.statusCode);
+  }
+
+  request.log.error({ err: error }, `Error handling ${request.method} ${request.routeOptions.url || request.url}`);
+  return sendError(reply, 'INTERNAL_ERROR', 'Internal server error');
+};
+
+// Fastify not-found handler
+export const handleNotFound = (request, reply) =>
+  sendError(reply, 'NOT_FOUND', `Route ${request.method} ${request.url.split('?')[0]} not found`);
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+// What a key may be used for. 'admin' covers everything, including managing keys.
+// 'tenants' only works for keys that belong to no tenant.
+export const API_KEY_SCOPES = ['calls', 'campaigns', 'recordings', 'webhooks', 'monitor', 'templates', 'compliance', 'caller_ids', 'tenants', 'admin'];
+
+// Helper function to hash a key; only hashes are stored, the key itself is shown once
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Helper function to compare two secrets without leaking their content through timing
+export const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Helper function to strip the hash before a key record leaves the store
+const toPublicKey = ({ hash, ...apiKey }) => apiKey;
+
+// API key store: one or more keys per client, each with its own scopes, persisted hashed.
+// A key may belong to a tenant, and then only ever acts for that tenant.
+export const createApiKeyStore = ({ storePath }) => {
+  const apiKeys = readJsonFile(storePath, []);
+  const persist = createPersistQueue(storePath, () => apiKeys, { log, label: 'API keys' });
+
+  return {
+    // Returns the key in plain text; it can't be recovered later
+    async create({ client, scopes, tenant = null }) {
+      const key = `cak_${crypto.randomBytes(24).toString('hex')}`;
+      const apiKey = {
+        id: crypto.randomUUID(),
+        client,
+        scopes,
+        tenant,
+        prefix: key.slice(0, 12),
+        hash: hashKey(key),
+        createdAt: Date.now(),
+        lastUsedAt: null,
+        revokedAt: null,
+      };
+
+      apiKeys.push(apiKey);
+      await persist();
+      log.info(`Created API key ${apiKey.id} for ${client}${tenant ? ` of tenant ${tenant}` : ''}`);
+      return { key, apiKey: toPublicKey(apiKey) };
+    },
+
+    // Without a tenant, every key is listed
+    list({ tenant } = {}) {
+      return apiKeys.filter((apiKey) => !tenant || apiKey.tenant === tenant).map(toPublicKey);
+    },
+
+    get(id) {
+      const apiKey = apiKeys.find((candidate) => candidate.id === id);
+      return apiKey ? toPublicKey(apiKey) : null;
+    },
+
+    async revoke(id) {
+      const apiKey = apiKeys.find((candidate) => candidate.id === id);
+      if (!apiKey) {
+        return null;
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = Date.now();
+        await persist();
+        log.info(`Revoked API key ${id} of ${apiKey.client}`);
+      }
+      return toPublicKey(apiKey);
+    },
+
+    // Returns the key record for a valid, unrevoked key, otherwise null
+    authenticate(key) {
+      if (!key) {
+        return null;
+      }
+
+      const hash = hashKey(key);
+      const apiKey = apiKeys.find((candidate) => !candidate.revokedAt && safeEqual(candidate.hash, hash));
+      if (!apiKey) {
+        return null;
+      }
+
+      apiKey.lastUsedAt = Date.now();
+      return toPublicKey(apiKey);
+    },
+  };
+};
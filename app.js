@@ -0,0 +1,2613 @@
+import fastifyFormBody from '@fastify/formbody';
+import fastifyWs from '@fastify/websocket';
+import fastifyCors from '@fastify/cors';
+import Fastify from 'fastify';
+import Twilio from 'twilio';
+import WebSocket from 'ws';
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { createSessionStore, createFileBackend, createMemoryBackend } from './session-store.js';
+import { createCampaignManager, isValidTimezone } from './campaigns.js';
+import { createCallLifecycle, TERMINAL_STATES } from './call-lifecycle.js';
+import { parseMachineDetection, getMachineDetectionCallOptions, isMachine } from './machine-detection.js';
+import { createRetryScheduler, parseRetryPolicy } from './call-retries.js';
+import { escapeXml, buildStreamTwiml, buildFallbackTwiml } from './twiml.js';
+import {
+  parseTransferOptions,
+  matchesTransferPhrase,
+  summarizeTranscript,
+  buildTransferTwiml,
+} from './call-transfer.js';
+import { loadToolRegistry } from './tool-registry.js';
+import { createCallRecorder, createRecordingStore } from './recordings.js';
+import { createWebhookDispatcher } from './post-call-webhooks.js';
+import { buildTranscript, formatTranscript } from './transcripts.js';
+import { createStorageFromEnv } from './storage/index.js';
+import { createApiKeyStore, safeEqual } from './api-keys.js';
+import { createStreamToken, verifyStreamToken } from './stream-tokens.js';
+import { createCallMonitor } from './call-monitor.js';
+import { createCallControls, splitAudio } from './call-control.js';
+import { createAudioBuffer, buildResumePrompt, getReconnectDelay } from './agent-reconnect.js';
+import { createTemplateStore, parseTemplateFields, renderTemplate } from './templates.js';
+import { sendError, sendTwilioError, handleRequestError, handleNotFound } from './api-errors.js';
+import {
+  DEFAULT_OPT_OUT_PHRASES,
+  createDoNotCallList,
+  createAttemptTracker,
+  parseCallingHours,
+  checkCallingHours,
+  matchesOptOutPhrase,
+  parseDoNotCallCsv,
+} from './compliance.js';
+import { createCallAnalyzer, loadAnalysisConfig } from './call-analysis.js';
+import { createTenantStore, parseTenantFields, toPublicTenant, DEFAULT_TENANT_ID } from './tenants.js';
+import { createCallerIdPool } from './caller-ids.js';
+import {
+  outboundCallSchema,
+  campaignSchema,
+  campaignSchemas,
+  callSchemas,
+  callStatusSchema,
+  recordingSchemas,
+  webhookSchemas,
+  apiKeySchemas,
+  templateSchemas,
+  monitorSchemas,
+  doNotCallSchemas,
+  tenantSchemas,
+  callerIdSchemas,
+  E164_PATTERN,
+} from './schemas.js';
+import { logger, createLogger } from './logger.js';
+import { createCallMetrics } from './metrics.js';
+import { createElevenLabsClient } from './elevenlabs.js';
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+const log = createLogger('server');
+
+// Builds the server: every route, the media bridge and the stores behind them.
+// The Twilio and ElevenLabs clients and the storage backend can be injected, e.g. the fakes
+// in simulator/, so the whole bridge can run offline. Nothing listens until the caller does.
+// The client factories build the clients of tenants that bring their own accounts.
+export const buildApp = ({
+  env = process.env,
+  twilioClient: injectedTwilioClient,
+  elevenLabs: injectedElevenLabs,
+  storage: injectedStorage,
+  twilioClientFactory = (accountSid, authToken) => new Twilio(accountSid, authToken),
+  elevenLabsClientFactory = createElevenLabsClient,
+  dataDir,
+} = {}) => {
+  // Check for required environment variables. Account credentials are only needed for the clients that weren't injected.
+  const {
+    ELEVENLABS_API_KEY,
+    ELEVENLABS_AGENT_ID,
+    TWILIO_ACCOUNT_SID,
+    TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER,
+    TOKEN
+  } = env;
+
+  const missing = Object.entries({
+    ELEVENLABS_API_KEY: ELEVENLABS_API_KEY || injectedElevenLabs,
+    ELEVENLABS_AGENT_ID,
+    TWILIO_ACCOUNT_SID: TWILIO_ACCOUNT_SID || injectedTwilioClient,
+    TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER,
+    TOKEN,
+  }).filter(([, value]) => !value).map(([name]) => name);
+
+  if (missing.length) {
+    log.fatal(`Missing required environment variables: ${missing.join(', ')}`);
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  const DATA_DIR = dataDir || env.DATA_DIR || path.join(__dirname, 'data');
+
+  // Prometheus metrics, served on GET /metrics. Active calls are read from the call monitor on every scrape.
+  const metrics = createCallMetrics({ getActiveCalls: () => callMonitor.list().length });
+
+  // Conversation storage: Firebase, a local file or memory, see STORAGE_BACKEND
+  const storage = injectedStorage || createStorageFromEnv(env, {
+    baseDir: __dirname,
+    dataDir: DATA_DIR,
+    onWriteError: (operation) => metrics.storageWriteFailures.inc({ backend: storage.backend, operation }),
+  });
+
+  // Per-call session storage, keyed by callSid
+  const SESSION_STORE = env.SESSION_STORE || 'file';
+
+  const sessionStore = createSessionStore({
+    backend: SESSION_STORE === 'memory'
+      ? createMemoryBackend()
+      : createFileBackend(env.SESSION_STORE_PATH || path.join(DATA_DIR, 'sessions.json')),
+    // How long a finished call stays around, e.g. to route a callback to the same agent
+    ttlMs: Number(env.SESSION_TTL_SECONDS || 24 * 60 * 60) * 1000,
+    // Upper bound for calls that never reached the media stream and were never ended
+    maxAgeMs: Number(env.SESSION_MAX_AGE_SECONDS || 48 * 60 * 60) * 1000,
+  });
+  log.info(`Using ${SESSION_STORE} session store`);
+
+  // Server-wide transfer target, used when a call doesn't bring its own
+  const TRANSFER_DEFAULTS = {
+    ...(env.TRANSFER_NUMBER ? { number: env.TRANSFER_NUMBER } : {}),
+    ...(env.TRANSFER_SIP_URI ? { sip: env.TRANSFER_SIP_URI } : {}),
+    ...(env.TRANSFER_PHRASES ? { phrases: env.TRANSFER_PHRASES.split(',') } : {}),
+  };
+  const TRANSFER_TOOL_NAME = env.TRANSFER_TOOL_NAME || 'transfer_to_human';
+
+  // Client tools the agent can call mid-conversation, declared in tools.json
+  const toolRegistry = loadToolRegistry(env.TOOLS_CONFIG_PATH || path.join(__dirname, 'tools.json'));
+
+  // Transfers are built in, unless tools.json brings its own tool under the same name
+  if (!toolRegistry.has(TRANSFER_TOOL_NAME)) {
+    toolRegistry.register({
+      name: TRANSFER_TOOL_NAME,
+      description: 'Transfer the caller to a human colleague',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string' },
+          summary: { type: 'string' },
+        },
+      },
+      handler: async (parameters, context) => {
+        if (!context.canTransfer) {
+          throw new Error('No transfer target is configured for this call');
+        }
+        context.transfer(parameters.reason || 'agent requested transfer', parameters.summary);
+        return 'Transferring the call now';
+      },
+    });
+  }
+
+  // Calls the bridge is handling right now, watched by supervisors
+  const callMonitor = createCallMonitor();
+
+  // What the API may do with those calls while they last, e.g. send the agent context
+  const callControls = createCallControls();
+
+  // Call lifecycle, fed by Twilio status callbacks
+  const callLifecycle = createCallLifecycle({
+    sessionStore,
+    recordTransition: (phoneNumber, callSid, transition, session) =>
+      getTenantOrDefault(session?.tenantId).storage.recordTransition(phoneNumber, callSid, transition),
+    onTransition: (session, callSid, transition) => {
+      callMonitor.update(callSid, { state: transition.to });
+
+      // A call that was "completed" by an answering machine counts as its own outcome
+      const outcome = transition.to === 'completed' && isMachine(session?.answeredBy) ? 'machine' : transition.to;
+
+      // Completed calls that reached the bridge are counted there, since it knows how the conversation ended.
+      // Others, e.g. hung up on a machine or before the media stream started, are counted here.
+      if (TERMINAL_STATES.includes(transition.to) && (transition.to !== 'completed' || (session && !session.streamStartedAt))) {
+        metrics.callsEnded.inc({ outcome });
+      }
+
+      if (session?.callerId && TERMINAL_STATES.includes(transition.to)) {
+        const callerIdOutcome = outcome === 'completed' ? 'answered' : outcome === 'machine' ? 'machine' : 'unanswered';
+        callerIdPool.recordOutcome(session.callerId, callerIdOutcome).catch((error) => {
+          log.error({ err: error }, 'Failed to record caller ID outcome');
+        });
+      }
+
+      if (session?.retry && TERMINAL_STATES.includes(transition.to)) {
+        retryScheduler.handleOutcome(session.retry.conversationId, callSid, outcome).catch((error) => {
+          log.error({ err: error }, 'Failed to handle call outcome');
+        });
+      }
+
+      if (session?.campaignId) {
+        campaignManager.handleCallStatus(session.campaignId, callSid, transition.to).catch((error) => {
+          log.error({ err: error }, 'Failed to handle call status');
+        });
+      }
+    },
+  });
+
+  // Helper function to look up an inbound route by caller or called number
+  const retrieveInboundRoute = (callerNumber, calledNumber) => {
+    try {
+      const routingPath = env.INBOUND_ROUTING_PATH || path.join(__dirname, 'inbound-routing.json');
+
+      if (!fs.existsSync(routingPath)) {
+        return null;
+      }
+
+      const routes = JSON.parse(fs.readFileSync(routingPath, 'utf8'));
+
+      // Most specific match first: the caller, then the number they dialled, then the fallback
+      const route = routes[callerNumber] || routes[calledNumber] || routes.default;
+      if (!route) {
+        return null;
+      }
+
+      log.info(`Matched inbound route for ${callerNumber}`);
+
+      // Flatten into the same shape as the session variables so the bridge can treat both alike
+      const { dynamic_variables, ...config } = route;
+      return { ...(dynamic_variables || {}), ...config };
+    } catch (error) {
+      log.error({ err: error }, 'Failed to read inbound routing table');
+      return null;
+    }
+  };
+
+  // Helper function to resolve the variables for an inbound call
+  const resolveInboundVariables = async (callerNumber, calledNumber, tenant) => {
+    // The tenant's last call to this number wins, so a customer calling back reaches the same agent.
+    // Calls of other tenants never count: their agent and prompt are not this tenant's to use.
+    const previousSession = await sessionStore.findLatestByPhone(callerNumber, tenant.id);
+    if (previousSession?.variables) {
+      log.info(`Reusing variables from call ${previousSession.callSid} for ${callerNumber}`);
+      return previousSession.variables;
+    }
+
+    return retrieveInboundRoute(callerNumber, calledNumber);
+  };
+
+  // Initialize Fastify server. Union types let dynamic_variables hold strings, numbers or booleans.
+  // Fastify logs through the shared logger, so request logs and call logs end up in one stream.
+  const fastify = Fastify({ loggerInstance: logger, ajv: { customOptions: { allowUnionTypes: true } } });
+  fastify.setErrorHandler(handleRequestError);
+  fastify.setNotFoundHandler(handleNotFound);
+  fastify.register(fastifyFormBody);
+  // Do-not-call imports may be posted as plain CSV
+  fastify.addContentTypeParser('text/csv', { parseAs: 'string' }, (request, body, done) => done(null, body));
+  fastify.register(fastifyWs);
+  // Browsers may only call the API from CORS_ORIGINS. Without it any origin is allowed,
+  // but without credentials: keys travel in the Authorization header, never in cookies.
+  const CORS_ORIGINS = env.CORS_ORIGINS
+    ? env.CORS_ORIGINS.split(',').map((origin) => origin.trim())
+    : null;
+  fastify.register(fastifyCors, {
+    origin: CORS_ORIGINS || '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Tenant-Id'],
+    credentials: Boolean(CORS_ORIGINS),
+    preflightContinue: false,
+    optionsSuccessStatus: 204
+  });
+
+  const READINESS_TIMEOUT_MS = 3000;
+
+  // Helper function to check the storage backend answers in time
+  const checkStorageReadiness = async () => {
+    const startedAt = Date.now();
+    let timer;
+    try {
+      await Promise.race([
+        storage.ping(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`No answer within ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+        }),
+      ]);
+      return { ok: true, backend: storage.backend, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, backend: storage.backend, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Helper function to find configuration that would break calls at runtime.
+  // Missing required variables already stop the server from starting.
+  const checkConfigReadiness = async () => {
+    const problems = [];
+    const warnings = [];
+
+    if (!new RegExp(E164_PATTERN).test(TWILIO_PHONE_NUMBER)) {
+      problems.push('TWILIO_PHONE_NUMBER is not an E.164 number');
+    }
+    if (env.POST_CALL_WEBHOOK_URL && !env.WEBHOOK_SECRET) {
+      problems.push('POST_CALL_WEBHOOK_URL is set without WEBHOOK_SECRET, webhooks would not be sent');
+    }
+    try {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.access(DATA_DIR, fs.constants.W_OK);
+    } catch {
+      problems.push(`${DATA_DIR} is not writable`);
+    }
+    if (!env.STREAM_TOKEN_SECRET) {
+      warnings.push('STREAM_TOKEN_SECRET is not set, media streams only work on the instance that answered the call');
+    }
+
+    return { ok: problems.length === 0, problems, warnings };
+  };
+
+  // Root route for health checks: ready once the storage backend answers and the configuration is usable
+  fastify.get('/', async (_, reply) => {
+    const [storageCheck, configCheck] = await Promise.all([checkStorageReadiness(), checkConfigReadiness()]);
+    const checks = { storage: storageCheck, config: configCheck };
+
+    if (!storageCheck.ok || !configCheck.ok) {
+      return sendError(reply, 'NOT_READY', 'Server is not ready', { checks });
+    }
+
+    reply.send({ success: true, message: 'Server is running', status: 'ready', checks });
+  });
+
+  // Initialize Twilio and ElevenLabs clients
+  const twilioClient = injectedTwilioClient || twilioClientFactory(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  const elevenLabs = injectedElevenLabs || elevenLabsClientFactory({
+    apiKey: ELEVENLABS_API_KEY,
+    defaultAgentId: ELEVENLABS_AGENT_ID,
+  });
+
+  // Recordings: stereo WAV files of calls that opted in, kept for a limited time
+  const RECORDINGS_DIR = env.RECORDINGS_DIR || path.join(DATA_DIR, 'recordings');
+  const RECORDING_RETENTION_MS = Number(env.RECORDING_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+  const recordingStore = createRecordingStore({ dir: RECORDINGS_DIR, retentionMs: RECORDING_RETENTION_MS });
+
+  // Named, versioned agent templates, in data/templates.json
+  const templateStore = createTemplateStore({
+    storePath: env.TEMPLATES_PATH || path.join(DATA_DIR, 'templates.json'),
+  });
+
+  // Tenants: business units with their own Twilio numbers, agents, credentials and storage,
+  // in data/tenants.json. The default tenant is the one configured through the environment.
+  const tenantStore = createTenantStore({
+    storePath: env.TENANTS_PATH || path.join(DATA_DIR, 'tenants.json'),
+  });
+
+  // Stores of the storage namespaces in use, created on first use so every call of a namespace shares them
+  const namespacedStores = new Map();
+
+  // Helper function to get the conversation storage, recordings and templates of a storage namespace
+  const getNamespacedStores = (namespace) => {
+    if (!namespacedStores.has(namespace)) {
+      const namespacedStorage = createStorageFromEnv(env, {
+        baseDir: __dirname,
+        dataDir: DATA_DIR,
+        namespace,
+        onWriteError: (operation) => metrics.storageWriteFailures.inc({ backend: namespacedStorage.backend, operation }),
+      });
+      namespacedStores.set(namespace, {
+        storage: namespacedStorage,
+        recordings: createRecordingStore({
+          dir: path.join(RECORDINGS_DIR, 'tenants', namespace),
+          retentionMs: RECORDING_RETENTION_MS,
+        }),
+        templates: createTemplateStore({
+          storePath: path.join(DATA_DIR, 'tenants', namespace, 'templates.json'),
+        }),
+      });
+    }
+    return namespacedStores.get(namespace);
+  };
+
+  const defaultTenant = {
+    id: DEFAULT_TENANT_ID,
+    twilioClient,
+    authToken: TWILIO_AUTH_TOKEN,
+    phoneNumbers: [TWILIO_PHONE_NUMBER],
+    elevenLabs,
+    agentId: ELEVENLABS_AGENT_ID,
+    storage,
+    recordings: recordingStore,
+    templates: templateStore,
+    webhookUrl: env.POST_CALL_WEBHOOK_URL || null,
+    callerIdIndex: 0,
+  };
+
+  // Clients of each tenant, rebuilt whenever the tenant is updated
+  const tenantContexts = new Map();
+
+  // Helper function to resolve everything a call needs from its tenant: the Twilio client, auth token and
+  // caller IDs, the ElevenLabs client and agent, storage and webhook target. Whatever a tenant doesn't bring
+  // comes from the environment, except storage and webhooks, which are never shared with the default tenant.
+  // Returns null for unknown tenants.
+  const getTenant = (id) => {
+    if (!id || id === DEFAULT_TENANT_ID) {
+      return defaultTenant;
+    }
+
+    const record = tenantStore.get(id);
+    if (!record) {
+      tenantContexts.delete(id);
+      return null;
+    }
+
+    const cached = tenantContexts.get(id);
+    if (cached?.updatedAt === record.updatedAt) {
+      return cached;
+    }
+
+    const ownTwilio = Boolean(record.twilio_account_sid);
+    const tenant = {
+      id,
+      updatedAt: record.updatedAt,
+      twilioClient: ownTwilio ? twilioClientFactory(record.twilio_account_sid, record.twilio_auth_token) : twilioClient,
+      authToken: ownTwilio ? record.twilio_auth_token : TWILIO_AUTH_TOKEN,
+      // Never the default numbers, which belong to the default tenant
+      phoneNumbers: record.phone_numbers || [],
+      elevenLabs: record.elevenlabs_api_key
+        ? elevenLabsClientFactory({ apiKey: record.elevenlabs_api_key, defaultAgentId: record.elevenlabs_agent_id || ELEVENLABS_AGENT_ID })
+        : elevenLabs,
+      agentId: record.elevenlabs_agent_id || ELEVENLABS_AGENT_ID,
+      ...getNamespacedStores(record.storage_namespace || id),
+      webhookUrl: record.webhook_url || null,
+      callerIdIndex: cached?.callerIdIndex || 0,
+    };
+    tenantContexts.set(id, tenant);
+    return tenant;
+  };
+
+  // Helper function for work that outlives a request, e.g. retries: a tenant deleted in the meantime
+  // falls back to the default tenant's clients rather than failing
+  const getTenantOrDefault = (id) => getTenant(id) || defaultTenant;
+
+  // Caller IDs of outbound calls: a managed pool of numbers per tenant, with daily caps and stats
+  const callerIdPool = createCallerIdPool({
+    storePath: env.CALLER_IDS_PATH || path.join(DATA_DIR, 'caller-ids.json'),
+    defaultDailyCap: Number(env.CALLER_ID_DAILY_CAP || 0),
+    stickyMs: Number(env.CALLER_ID_STICKY_DAYS || 30) * 24 * 60 * 60 * 1000,
+  });
+
+  // Helper function to pick the caller ID of an outbound call: the explicit from, the pool number that suits
+  // the callee best, or for tenants without a pool, their configured numbers in turn. A pool number's use is
+  // reserved until the call was placed. Returns { number, match } or, when every pool number reached its cap
+  // or the tenant has no numbers at all, { code, message, details }.
+  const pickCallerId = (tenant, callee, from) => {
+    const reserved = callerIdPool.reserve(tenant.id, callee, { from });
+    if (reserved) {
+      return reserved;
+    }
+    if (tenant.phoneNumbers.length === 0) {
+      return {
+        code: 'NO_CALLER_ID',
+        message: `Tenant ${tenant.id} has no phone_numbers or caller IDs to call from`,
+        details: { tenant: tenant.id },
+      };
+    }
+
+    const number = tenant.phoneNumbers[tenant.callerIdIndex % tenant.phoneNumbers.length];
+    tenant.callerIdIndex += 1;
+    return { number, match: 'rotation' };
+  };
+
+  // Helper function to check a number is one the tenant may call from
+  const isTenantCallerId = (tenant, number) =>
+    tenant.phoneNumbers.includes(number) || callerIdPool.get(number)?.tenant === tenant.id;
+
+  // Helper function to find the tenant a number of ours belongs to, from the tenants' numbers or the pool
+  const findNumberOwner = (number) => tenantStore.findByPhoneNumber(number)?.id || callerIdPool.get(number)?.tenant || null;
+
+  // Per-client API keys, stored hashed in data/api-keys.json
+  const apiKeyStore = createApiKeyStore({
+    storePath: env.API_KEYS_PATH || path.join(DATA_DIR, 'api-keys.json'),
+  });
+
+  // Helper function to authenticate a management request and check it may use the given scope.
+  // Keys are sent as "Authorization: Bearer <key>". The token field in the body or query string
+  // still works for existing clients. TOKEN is the admin key and has every scope.
+  const verifyToken = (request, reply, scope) => {
+    const authorization = request.headers.authorization || '';
+    const token = authorization.startsWith('Bearer ')
+      ? authorization.slice('Bearer '.length).trim()
+      : request.body?.token || request.query?.token;
+
+    const apiKey = token && safeEqual(token, TOKEN)
+      ? { id: 'admin', client: 'admin', scopes: ['admin'] }
+      : apiKeyStore.authenticate(token);
+
+    if (!apiKey) {
+      request.log.warn(`Invalid token provided for ${request.method} ${request.routeOptions.url}. Access denied.`);
+      sendError(reply, 'UNAUTHORIZED', 'Unauthorized. Invalid token.');
+      return false;
+    }
+
+    if (!apiKey.scopes.includes('admin') && !apiKey.scopes.includes(scope)) {
+      request.log.warn({ apiKeyId: apiKey.id, client: apiKey.client }, `API key lacks the ${scope} scope for ${request.method} ${request.routeOptions.url}`);
+      sendError(reply, 'FORBIDDEN', `Forbidden. This key does not have the ${scope} scope.`);
+      return false;
+    }
+
+    // A tenant's key acts for its tenant. Keys of no tenant act for the default tenant, and
+    // only admin keys or keys managing tenants may act for the one named in the X-Tenant-Id header.
+    const requestedTenant = request.headers['x-tenant-id'];
+    if (requestedTenant && !apiKey.tenant && !apiKey.scopes.includes('admin') && !apiKey.scopes.includes('tenants')) {
+      request.log.warn({ apiKeyId: apiKey.id, client: apiKey.client }, `API key may not act for tenant ${requestedTenant}`);
+      sendError(reply, 'FORBIDDEN', 'Forbidden. Only admin keys may act for another tenant.');
+      return false;
+    }
+    const tenantId = apiKey.tenant || requestedTenant || DEFAULT_TENANT_ID;
+    const tenant = getTenant(tenantId);
+    if (!tenant) {
+      if (apiKey.tenant) {
+        request.log.warn({ apiKeyId: apiKey.id }, `API key belongs to deleted tenant ${apiKey.tenant}`);
+        sendError(reply, 'FORBIDDEN', 'Forbidden. The tenant of this key no longer exists.');
+      } else {
+        sendError(reply, 'NOT_FOUND', `Tenant ${tenantId} not found`);
+      }
+      return false;
+    }
+
+    request.apiKey = apiKey;
+    request.tenant = tenant;
+    return true;
+  };
+
+  // Helper function to authenticate a route before its schema is checked,
+  // so requests without a valid key never learn anything about the route
+  const requireScope = (scope) => async (request, reply) => {
+    if (!verifyToken(request, reply, scope)) {
+      return reply;
+    }
+  };
+
+  // Hook for routes that manage tenants, which only keys of no tenant may do
+  const requireTenantManager = async (request, reply) => {
+    if (!verifyToken(request, reply, 'tenants')) {
+      return reply;
+    }
+    if (request.apiKey.tenant) {
+      return sendError(reply, 'FORBIDDEN', 'Forbidden. Keys of a tenant cannot manage tenants.');
+    }
+  };
+
+  // Route to create an API key for a client. The key is only ever returned here.
+  // An admin key of a tenant can only create keys for that tenant.
+  fastify.post('/api-keys', { schema: apiKeySchemas.create, preValidation: requireScope('admin') }, async (request, reply) => {
+    const tenant = request.apiKey.tenant || request.body.tenant || null;
+    if (request.apiKey.tenant && request.body.tenant && request.body.tenant !== request.apiKey.tenant) {
+      return sendError(reply, 'FORBIDDEN', 'Forbidden. Keys of a tenant can only create keys for that tenant.');
+    }
+    if (tenant && !tenantStore.get(tenant)) {
+      return sendError(reply, 'NOT_FOUND', `Tenant ${tenant} not found`);
+    }
+    if (tenant && request.body.scopes.includes('tenants')) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Keys of a tenant cannot have the tenants scope', [{ field: 'body.scopes' }]);
+    }
+
+    const { key, apiKey } = await apiKeyStore.create({ client: request.body.client, scopes: request.body.scopes, tenant });
+    reply.code(201).send({ success: true, key, apiKey });
+  });
+
+  // Route to list API keys, without the keys themselves
+  fastify.get('/api-keys', { preValidation: requireScope('admin') }, async (request, reply) => {
+    reply.send({ success: true, apiKeys: apiKeyStore.list({ tenant: request.apiKey.tenant }) });
+  });
+
+  // Route to revoke an API key
+  fastify.post('/api-keys/:id/revoke', { schema: apiKeySchemas.revoke, preValidation: requireScope('admin') }, async (request, reply) => {
+    const existing = apiKeyStore.get(request.params.id);
+    if (!existing || (request.apiKey.tenant && existing.tenant !== request.apiKey.tenant)) {
+      return sendError(reply, 'NOT_FOUND', 'API key not found');
+    }
+
+    const apiKey = await apiKeyStore.revoke(request.params.id);
+    if (!apiKey) {
+      return sendError(reply, 'NOT_FOUND', 'API key not found');
+    }
+
+    reply.send({ success: true, apiKey });
+  });
+
+  // Helper function to find a number of the list that already belongs to another tenant or to the default one.
+  // Inbound calls are routed by the number they were made to, so every number has one owner.
+  const findTakenNumber = (numbers = [], tenantId) =>
+    numbers.find((number) => {
+      const owner = findNumberOwner(number);
+      return number === TWILIO_PHONE_NUMBER || (owner && owner !== tenantId);
+    });
+
+  // Route to register a tenant
+  fastify.post('/tenants', { schema: tenantSchemas.create, preValidation: requireTenantManager }, async (request, reply) => {
+    const { id } = request.body;
+    if (id === DEFAULT_TENANT_ID) {
+      return sendError(reply, 'CONFLICT', `${DEFAULT_TENANT_ID} is reserved for the tenant configured through the environment`);
+    }
+
+    const parsed = parseTenantFields(request.body);
+    if (parsed.error) {
+      return sendError(reply, 'VALIDATION_FAILED', parsed.error);
+    }
+
+    const takenNumber = findTakenNumber(parsed.fields.phone_numbers, id);
+    if (takenNumber) {
+      return sendError(reply, 'CONFLICT', `${takenNumber} already belongs to another tenant`);
+    }
+
+    const tenant = await tenantStore.create(id, parsed.fields);
+    if (!tenant) {
+      return sendError(reply, 'CONFLICT', `Tenant ${id} already exists`);
+    }
+
+    reply.code(201).send({ success: true, tenant: toPublicTenant(tenant) });
+  });
+
+  // Route to list tenants, with their secrets masked
+  fastify.get('/tenants', { preValidation: requireTenantManager }, async (request, reply) => {
+    reply.send({ success: true, tenants: tenantStore.list().map(toPublicTenant) });
+  });
+
+  // Route to fetch a tenant
+  fastify.get('/tenants/:id', { schema: tenantSchemas.get, preValidation: requireTenantManager }, async (request, reply) => {
+    const tenant = tenantStore.get(request.params.id);
+    if (!tenant) {
+      return sendError(reply, 'NOT_FOUND', 'Tenant not found');
+    }
+
+    reply.send({ success: true, tenant: toPublicTenant(tenant) });
+  });
+
+  // Route to update a tenant. Calls placed from now on use the new settings; live calls keep theirs.
+  fastify.put('/tenants/:id', { schema: tenantSchemas.update, preValidation: requireTenantManager }, async (request, reply) => {
+    const current = tenantStore.get(request.params.id);
+    if (!current) {
+      return sendError(reply, 'NOT_FOUND', 'Tenant not found');
+    }
+
+    const parsed = parseTenantFields(request.body, { current });
+    if (parsed.error) {
+      return sendError(reply, 'VALIDATION_FAILED', parsed.error);
+    }
+
+    const takenNumber = findTakenNumber(parsed.fields.phone_numbers, request.params.id);
+    if (takenNumber) {
+      return sendError(reply, 'CONFLICT', `${takenNumber} already belongs to another tenant`);
+    }
+
+    const tenant = await tenantStore.update(request.params.id, parsed.fields);
+    reply.send({ success: true, tenant: toPublicTenant(tenant) });
+  });
+
+  // Route to delete a tenant. Its stored calls and recordings are kept; its keys stop working.
+  fastify.delete('/tenants/:id', { schema: tenantSchemas.delete, preValidation: requireTenantManager }, async (request, reply) => {
+    if (!(await tenantStore.delete(request.params.id))) {
+      return sendError(reply, 'NOT_FOUND', 'Tenant not found');
+    }
+
+    reply.send({ success: true });
+  });
+
+  // Helper function to get a pool number of the request's tenant, null for numbers of other tenants
+  const getTenantCallerId = (request, number) => {
+    const entry = callerIdPool.get(number);
+    return entry?.tenant === request.tenant.id ? entry : null;
+  };
+
+  // Helper function to check Twilio lets the tenant's account call from a number: one it bought, or a verified caller ID
+  const isAccountNumber = async (tenant, number) => {
+    const [incoming, verified] = await Promise.all([
+      tenant.twilioClient.incomingPhoneNumbers.list({ phoneNumber: number, limit: 1 }),
+      tenant.twilioClient.outgoingCallerIds.list({ phoneNumber: number, limit: 1 }),
+    ]);
+    return incoming.length > 0 || verified.length > 0;
+  };
+
+  // Route to add a number to the tenant's caller-ID pool. The number must be one of its Twilio account.
+  fastify.post('/caller-ids', { schema: callerIdSchemas.add, preValidation: requireScope('caller_ids') }, async (request, reply) => {
+    const { number, label, daily_cap } = request.body;
+    const owner = number === TWILIO_PHONE_NUMBER ? DEFAULT_TENANT_ID : findNumberOwner(number);
+    if (owner && owner !== request.tenant.id) {
+      return sendError(reply, 'CONFLICT', `${number} already belongs to another tenant`);
+    }
+
+    try {
+      if (!(await isAccountNumber(request.tenant, number))) {
+        return sendError(reply, 'VALIDATION_FAILED', `${number} is not a number or verified caller ID of your Twilio account`, [
+          { field: 'body.number' },
+        ]);
+      }
+    } catch (error) {
+      request.log.error({ err: error }, 'Error looking up a caller ID');
+      return sendTwilioError(reply, error, 'Failed to look up the number');
+    }
+
+    const entry = await callerIdPool.add(number, { tenant: request.tenant.id, label, daily_cap });
+    if (!entry) {
+      return sendError(reply, 'CONFLICT', `${number} is already in the caller-ID pool`);
+    }
+
+    reply.code(201).send({ success: true, callerId: entry });
+  });
+
+  // Route to list the tenant's caller-ID pool, with today's usage and the answer rate of each number
+  fastify.get('/caller-ids', { preValidation: requireScope('caller_ids') }, async (request, reply) => {
+    reply.send({ success: true, callerIds: callerIdPool.list({ tenant: request.tenant.id }) });
+  });
+
+  // Route to fetch the stats of every number the tenant called from, in the pool or not
+  fastify.get('/caller-ids/stats', { preValidation: requireScope('caller_ids') }, async (request, reply) => {
+    reply.send({ success: true, stats: callerIdPool.stats({ tenant: request.tenant.id }) });
+  });
+
+  // Route to fetch a pool number
+  fastify.get('/caller-ids/:number', { schema: callerIdSchemas.number, preValidation: requireScope('caller_ids') }, async (request, reply) => {
+    const entry = getTenantCallerId(request, request.params.number);
+    if (!entry) {
+      return sendError(reply, 'NOT_FOUND', 'Number is not in the caller-ID pool');
+    }
+
+    reply.send({ success: true, callerId: entry });
+  });
+
+  // Route to update a pool number, e.g. to raise its cap or to take it out of rotation
+  fastify.put('/caller-ids/:number', { schema: callerIdSchemas.update, preValidation: requireScope('caller_ids') }, async (request, reply) => {
+    if (!getTenantCallerId(request, request.params.number)) {
+      return sendError(reply, 'NOT_FOUND', 'Number is not in the caller-ID pool');
+    }
+
+    const { label, daily_cap, enabled } = request.body;
+    const fields = Object.fromEntries(Object.entries({ label, daily_cap, enabled }).filter(([, value]) => value !== undefined));
+    const entry = await callerIdPool.update(request.params.number, fields);
+    reply.send({ success: true, callerId: entry });
+  });
+
+  // Route to remove a number from the pool. Its stats are kept.
+  fastify.delete('/caller-ids/:number', { schema: callerIdSchemas.number, preValidation: requireScope('caller_ids') }, async (request, reply) => {
+    if (!getTenantCallerId(request, request.params.number)) {
+      return sendError(reply, 'NOT_FOUND', 'Number is not in the caller-ID pool');
+    }
+
+    await callerIdPool.remove(request.params.number);
+    reply.send({ success: true });
+  });
+
+  // Compliance: numbers that must not be called, allowed calling hours and a cap on attempts per number
+  const callingHours = parseCallingHours(env.CALLING_HOURS ?? '08:00-21:00', env.CALLING_DAYS);
+  if (callingHours.error) {
+    log.fatal(callingHours.error);
+    throw new Error(callingHours.error);
+  }
+  const DEFAULT_CALLEE_TIMEZONE = env.DEFAULT_CALLEE_TIMEZONE || 'UTC';
+  const OPT_OUT_PHRASES = env.OPT_OUT_PHRASES
+    ? env.OPT_OUT_PHRASES.split(',').map((phrase) => phrase.toLowerCase().trim()).filter(Boolean)
+    : DEFAULT_OPT_OUT_PHRASES;
+
+  const doNotCallList = createDoNotCallList({
+    storePath: env.DO_NOT_CALL_PATH || path.join(DATA_DIR, 'do-not-call.json'),
+  });
+  const attemptTracker = createAttemptTracker({
+    storePath: env.CALL_ATTEMPTS_PATH || path.join(DATA_DIR, 'call-attempts.json'),
+    maxAttempts: Number(env.MAX_ATTEMPTS_PER_NUMBER ?? 3),
+    periodMs: Number(env.ATTEMPT_PERIOD_HOURS || 24) * 60 * 60 * 1000,
+  });
+
+  // Helper function to check whether a number may be called right now.
+  // Returns null or the reason the call is blocked, as { code, message, details }.
+  // Retries ask for retry_after, to be held back until the calling hours open.
+  const checkCompliance = (number, timezone, { withRetryAfter = false } = {}) =>
+    doNotCallList.check(number) ||
+    checkCallingHours(number, {
+      callingHours: callingHours.config,
+      timezone,
+      defaultTimezone: DEFAULT_CALLEE_TIMEZONE,
+      withRetryAfter,
+    }) ||
+    attemptTracker.check(number);
+
+  // The do-not-call list is shared: a number that opted out on any tenant's call is never called again.
+  // Its entries may quote other tenants' calls, so only keys of no tenant may read or remove them.
+  const requireComplianceManager = async (request, reply) => {
+    if (!verifyToken(request, reply, 'compliance')) {
+      return reply;
+    }
+    if (request.apiKey.tenant) {
+      return sendError(reply, 'FORBIDDEN', 'Forbidden. Keys of a tenant cannot read or remove do-not-call entries.');
+    }
+  };
+
+  // Helper function to keep where an opt-out came from away from keys of a tenant
+  const hideDoNotCallSource = (request, blocked) =>
+    blocked?.code === 'DO_NOT_CALL' && request.apiKey.tenant
+      ? { ...blocked, details: { added_at: blocked.details.added_at } }
+      : blocked;
+
+  // Route to list the do-not-call list
+  fastify.get('/do-not-call', { preValidation: requireComplianceManager }, async (request, reply) => {
+    reply.send({ success: true, numbers: doNotCallList.list() });
+  });
+
+  // Route to look up a number on the do-not-call list
+  fastify.get('/do-not-call/:number', { schema: doNotCallSchemas.number, preValidation: requireComplianceManager }, async (request, reply) => {
+    const entry = doNotCallList.get(request.params.number);
+    if (!entry) {
+      return sendError(reply, 'NOT_FOUND', 'Number is not on the do-not-call list');
+    }
+
+    reply.send({ success: true, entry });
+  });
+
+  // Route to add a number to the do-not-call list
+  fastify.post('/do-not-call', { schema: doNotCallSchemas.add, preValidation: requireScope('compliance') }, async (request, reply) => {
+    const entry = await doNotCallList.add(request.body.number, {
+      reason: request.body.reason,
+      source: `api:${request.apiKey.client}`,
+    });
+    // A number that was already listed keeps its entry, which may stem from another tenant
+    reply.code(201).send({
+      success: true,
+      entry: request.apiKey.tenant ? { number: entry.number, addedAt: entry.addedAt } : entry,
+    });
+  });
+
+  // Route to import numbers from a CSV file: number in the first column, optional reason in the second
+  fastify.post('/do-not-call/import', { schema: doNotCallSchemas.import, preValidation: requireScope('compliance') }, async (request, reply) => {
+    const csv = typeof request.body === 'string' ? request.body : request.body?.csv;
+    if (!csv) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Send the CSV as a text/csv body or in a csv field');
+    }
+
+    const { rows, invalid } = parseDoNotCallCsv(csv);
+    const result = await doNotCallList.import(rows, { source: `import:${request.apiKey.client}` });
+    reply.send({ success: true, ...result, invalid });
+  });
+
+  // Route to remove a number from the do-not-call list, e.g. after the person gave consent again
+  fastify.delete('/do-not-call/:number', { schema: doNotCallSchemas.number, preValidation: requireComplianceManager }, async (request, reply) => {
+    if (!(await doNotCallList.remove(request.params.number))) {
+      return sendError(reply, 'NOT_FOUND', 'Number is not on the do-not-call list');
+    }
+
+    reply.send({ success: true });
+  });
+
+  // Route to check whether a number may be called right now, without calling it
+  fastify.get('/compliance/check', { schema: doNotCallSchemas.check, preValidation: requireScope('compliance') }, async (request, reply) => {
+    const { number, timezone } = request.query;
+    if (timezone && !isValidTimezone(timezone)) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Invalid timezone', [{ field: 'querystring.timezone' }]);
+    }
+
+    const blocked = hideDoNotCallSource(request, checkCompliance(number, timezone));
+    reply.send({
+      success: true,
+      allowed: !blocked,
+      attempts: attemptTracker.count(number),
+      ...(blocked ? { blocked } : {}),
+    });
+  });
+
+  // Helper function to place an outbound call and open its session
+  // machine_detection, retry_policy and transfer are expected to be normalized by their parse helpers already.
+  const initiateOutboundCall = async (
+    host,
+    {
+      number,
+      prompt,
+      first_message,
+      dynamic_variables,
+      elevenlabs_agent_id,
+      machine_detection,
+      retry_policy,
+      transfer,
+      record,
+      webhook_url,
+      timezone,
+      from,
+      tenant: tenantId,
+    },
+    sessionData = {}
+  ) => {
+    // Campaigns and retries come through here too, so every dial is checked.
+    // A blocked call throws with the reason attached as error.compliance.
+    const blocked = checkCompliance(number, timezone, { withRetryAfter: Boolean(sessionData.retry) });
+    if (blocked) {
+      log.info({ code: blocked.code }, `Blocked call to ${number}`);
+      throw Object.assign(new Error(blocked.message), { compliance: blocked });
+    }
+
+    // Throws for tenants deleted since, e.g. while a campaign of theirs was running
+    const tenant = getTenant(tenantId);
+    if (!tenant) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    // An explicit caller ID skips the pool and its caps. No caller ID left is a block like the ones above.
+    const callerId = pickCallerId(tenant, number, from);
+    if (callerId.code) {
+      log.info({ code: callerId.code }, `No caller ID for ${number}`);
+      throw Object.assign(new Error(callerId.message), { compliance: callerId });
+    }
+
+    // Create variables object to store 
+    const variablesToStore = {};
+
+    // Store dynamic variables if provided
+    if (dynamic_variables) {
+      Object.assign(variablesToStore, dynamic_variables);
+    }
+
+    // Store ElevenLabs agent ID if provided
+    if (elevenlabs_agent_id) {
+      variablesToStore.elevenlabs_agent_id = elevenlabs_agent_id;
+    }
+
+    // Store prompt in variables storage (bridge approach)
+    if (prompt) {
+      variablesToStore.prompt = prompt;
+    }
+
+    // Store first_message in variables storage (bridge approach)
+    if (first_message) {
+      variablesToStore.first_message = first_message;
+    }
+
+    // Use "none" placeholder for prompt and first_message when passing to Twilio
+    // The tenant travels with every webhook, so it is validated with the right auth token
+    let call;
+    try {
+      call = await tenant.twilioClient.calls.create({
+        from: callerId.number,
+        to: number,
+        url: `https://${host}/outbound-call-twiml?prompt=${encodeURIComponent(
+          "none"
+        )}&first_message=${encodeURIComponent(
+          "none"
+        )}&phone=${encodeURIComponent(number)}&tenant=${encodeURIComponent(tenant.id)}`,
+        statusCallback: `https://${host}/call-status?tenant=${encodeURIComponent(tenant.id)}`,
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        statusCallbackMethod: 'POST',
+        ...getMachineDetectionCallOptions(machine_detection),
+      });
+    } catch (error) {
+      if (callerId.day) {
+        callerIdPool.release(callerId);
+      }
+      throw error;
+    }
+    await attemptTracker.record(number);
+    await callerIdPool.recordUse(callerId.number, { tenant: tenant.id, callee: number });
+    log.info({ callSid: call.sid, match: callerId.match }, `Calling ${number} from ${callerId.number}`);
+    metrics.callsInitiated.inc({ direction: 'outbound' });
+
+    // The first attempt of a call with a retry policy starts a new retried conversation;
+    // later attempts are placed by the retry scheduler and bring their own retry details
+    const retry = sessionData.retry || (retry_policy ? { conversationId: call.sid, attempt: 1 } : null);
+
+    // One session per call, so calls to the same number never overwrite each other
+    await sessionStore.create(call.sid, {
+      ...sessionData,
+      retry,
+      phoneNumber: number,
+      direction: 'outbound',
+      variables: variablesToStore,
+      machineDetection: machine_detection || null,
+      transfer: transfer || null,
+      record: record === true,
+      webhookUrl: webhook_url || null,
+      tenantId: tenant.id,
+      callerId: callerId.number,
+    });
+    await tenant.storage.startCall(number, call.sid, { direction: 'outbound' });
+    await callLifecycle.transition(call.sid, call.status || 'queued');
+
+    if (retry_policy && !sessionData.retry) {
+      await retryScheduler.register(
+        host,
+        call.sid,
+        { number, prompt, first_message, dynamic_variables, elevenlabs_agent_id, machine_detection, transfer, record, webhook_url, timezone, from, tenant: tenant.id },
+        retry_policy
+      );
+    }
+
+    return call;
+  };
+
+  // Helper function to fill prompt, first_message and agent from the tenant's template a request refers to.
+  // Values sent with the request itself win over the template.
+  const applyTemplate = (tenant, { template, template_version, dynamic_variables, prompt, first_message, elevenlabs_agent_id }) => {
+    if (!template) {
+      return { fields: {} };
+    }
+
+    const found = tenant.templates.get(template, template_version);
+    if (!found) {
+      return {
+        code: 'TEMPLATE_NOT_FOUND',
+        error: `Template ${template}${template_version ? ` v${template_version}` : ''} not found`,
+      };
+    }
+
+    const rendered = renderTemplate(found, dynamic_variables || {});
+    if (rendered.error) {
+      return { code: 'MISSING_VARIABLES', error: rendered.error, details: { missing: rendered.missing } };
+    }
+
+    return {
+      fields: {
+        prompt: prompt || rendered.config.prompt,
+        first_message: first_message || rendered.config.first_message,
+        elevenlabs_agent_id: elevenlabs_agent_id || rendered.config.elevenlabs_agent_id,
+      },
+      template: { name: found.name, version: found.version },
+    };
+  };
+
+  // Route to create a template
+  fastify.post('/templates', { schema: templateSchemas.create, preValidation: requireScope('templates') }, async (request, reply) => {
+    const { name } = request.body;
+    const parsed = parseTemplateFields(request.body);
+    if (parsed.error) {
+      return sendError(reply, 'VALIDATION_FAILED', parsed.error);
+    }
+
+    const template = await request.tenant.templates.create(name, parsed.fields);
+    if (!template) {
+      return sendError(reply, 'CONFLICT', `Template ${name} already exists`);
+    }
+
+    reply.code(201).send({ success: true, template });
+  });
+
+  // Route to list templates, latest version of each
+  fastify.get('/templates', { preValidation: requireScope('templates') }, async (request, reply) => {
+    reply.send({ success: true, templates: request.tenant.templates.list() });
+  });
+
+  // Route to fetch a template, the latest version unless ?version= is given
+  fastify.get('/templates/:name', { schema: templateSchemas.get, preValidation: requireScope('templates') }, async (request, reply) => {
+    const template = request.tenant.templates.get(request.params.name, request.query.version);
+    if (!template) {
+      return sendError(reply, 'NOT_FOUND', 'Template not found');
+    }
+
+    const versions = request.tenant.templates.versions(request.params.name).map(({ version, createdAt }) => ({ version, createdAt }));
+    reply.send({ success: true, template, versions });
+  });
+
+  // Route to update a template. Every update adds a version; earlier versions stay usable.
+  fastify.put('/templates/:name', { schema: templateSchemas.update, preValidation: requireScope('templates') }, async (request, reply) => {
+    const parsed = parseTemplateFields(request.body, { partial: true });
+    if (parsed.error) {
+      return sendError(reply, 'VALIDATION_FAILED', parsed.error);
+    }
+
+    const template = await request.tenant.templates.update(request.params.name, parsed.fields);
+    if (!template) {
+      return sendError(reply, 'NOT_FOUND', 'Template not found');
+    }
+
+    reply.send({ success: true, template });
+  });
+
+  // Route to delete a template with all its versions
+  fastify.delete('/templates/:name', { schema: templateSchemas.delete, preValidation: requireScope('templates') }, async (request, reply) => {
+    if (!(await request.tenant.templates.delete(request.params.name))) {
+      return sendError(reply, 'NOT_FOUND', 'Template not found');
+    }
+
+    reply.send({ success: true });
+  });
+
+  // Route to initiate outbound calls
+  // The schema checks types and the E.164 number; the parse helpers check how options fit together.
+  fastify.post('/outbound-call', { schema: outboundCallSchema, preValidation: requireScope('calls') }, async (request, reply) => {
+    const machineDetection = parseMachineDetection(request.body.machine_detection);
+    if (machineDetection.error) {
+      return sendError(reply, 'VALIDATION_FAILED', machineDetection.error, [{ field: 'body.machine_detection' }]);
+    }
+
+    const retryPolicy = parseRetryPolicy(request.body.retry_policy);
+    if (retryPolicy.error) {
+      return sendError(reply, 'VALIDATION_FAILED', retryPolicy.error, [{ field: 'body.retry_policy' }]);
+    }
+
+    const transfer = parseTransferOptions(request.body.transfer, TRANSFER_DEFAULTS);
+    if (transfer.error) {
+      return sendError(reply, 'VALIDATION_FAILED', transfer.error, [{ field: 'body.transfer' }]);
+    }
+
+    if (request.body.timezone && !isValidTimezone(request.body.timezone)) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Invalid timezone', [{ field: 'body.timezone' }]);
+    }
+
+    if (request.body.from && !isTenantCallerId(request.tenant, request.body.from)) {
+      return sendError(reply, 'VALIDATION_FAILED', 'from must be one of your caller IDs', [{ field: 'body.from' }]);
+    }
+
+    const template = applyTemplate(request.tenant, request.body);
+    if (template.error) {
+      return sendError(reply, template.code, template.error, template.details);
+    }
+
+    try {
+      const call = await initiateOutboundCall(request.headers.host, {
+        ...request.body,
+        ...template.fields,
+        machine_detection: machineDetection.config,
+        retry_policy: retryPolicy.config,
+        transfer: transfer.config,
+        tenant: request.tenant.id,
+      });
+
+      reply.send({
+        success: true,
+        message: 'Call initiated',
+        callSid: call.sid,
+        from: call.from,
+        ...(template.template ? { template: template.template } : {}),
+      });
+    } catch (error) {
+      if (error.compliance) {
+        const { code, message, details } = hideDoNotCallSource(request, error.compliance);
+        return sendError(reply, code, message, details);
+      }
+      request.log.error({ err: error }, 'Error initiating outbound call');
+      sendTwilioError(reply, error, 'Failed to initiate call');
+    }
+  });
+
+  // Route to list the recordings of the tenant
+  fastify.get('/recordings', { preValidation: requireScope('recordings') }, async (request, reply) => {
+    reply.send({ success: true, recordings: await request.tenant.recordings.list() });
+  });
+
+  // Route to download a call's recording
+  fastify.get('/recordings/:callSid', { schema: recordingSchemas.get, preValidation: requireScope('recordings') }, async (request, reply) => {
+    const recordingPath = request.tenant.recordings.find(request.params.callSid);
+    if (!recordingPath) {
+      return sendError(reply, 'NOT_FOUND', 'Recording not found');
+    }
+
+    reply
+      .type('audio/wav')
+      .header('Content-Disposition', `attachment; filename="${request.params.callSid}.wav"`)
+      .send(fs.createReadStream(recordingPath));
+  });
+
+  // Helper function to read a date query parameter given as ISO string or epoch milliseconds
+  const parseDateParam = (value) => {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  };
+
+  // Route to search calls by date range and status
+  fastify.get('/calls', { schema: callSchemas.search, preValidation: requireScope('calls') }, async (request, reply) => {
+    const from = parseDateParam(request.query.from);
+    const to = parseDateParam(request.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return sendError(reply, 'VALIDATION_FAILED', 'from and to must be ISO dates or epoch milliseconds', [
+        { field: Number.isNaN(from) ? 'querystring.from' : 'querystring.to' },
+      ]);
+    }
+
+    try {
+      const calls = await request.tenant.storage.searchCalls({
+        from,
+        to,
+        status: request.query.status,
+        phoneNumber: request.query.phoneNumber,
+        limit: request.query.limit,
+      });
+      reply.send({ success: true, calls });
+    } catch (error) {
+      request.log.error({ err: error }, 'Error searching calls');
+      sendError(reply, 'INTERNAL_ERROR', 'Failed to search calls');
+    }
+  });
+
+  // Route to list the calls made to or from a phone number
+  fastify.get('/conversations/:phoneNumber/calls', { schema: callSchemas.byPhoneNumber, preValidation: requireScope('calls') }, async (request, reply) => {
+    try {
+      const calls = await request.tenant.storage.searchCalls({ phoneNumber: request.params.phoneNumber });
+      reply.send({ success: true, phoneNumber: request.params.phoneNumber, calls });
+    } catch (error) {
+      request.log.error({ err: error }, 'Error listing calls');
+      sendError(reply, 'INTERNAL_ERROR', 'Failed to list calls');
+    }
+  });
+
+  // Route to fetch one call with its transcript
+  fastify.get('/calls/:callSid', { schema: callSchemas.get, preValidation: requireScope('calls') }, async (request, reply) => {
+    try {
+      const call = await request.tenant.storage.getCall(request.params.callSid);
+      if (!call) {
+        return sendError(reply, 'NOT_FOUND', 'Call not found');
+      }
+
+      const { logs, ...details } = call;
+      reply.send({ success: true, call: { ...details, transcript: buildTranscript(logs) } });
+    } catch (error) {
+      request.log.error({ err: error }, 'Error fetching call');
+      sendError(reply, 'INTERNAL_ERROR', 'Failed to fetch call');
+    }
+  });
+
+  // Route to export a call's transcript as JSON, plain text or SRT
+  fastify.get('/calls/:callSid/transcript', { schema: callSchemas.transcript, preValidation: requireScope('calls') }, async (request, reply) => {
+    const { format } = request.query;
+
+    try {
+      const call = await request.tenant.storage.getCall(request.params.callSid);
+      if (!call) {
+        return sendError(reply, 'NOT_FOUND', 'Call not found');
+      }
+
+      const { contentType, body } = formatTranscript(call, buildTranscript(call.logs), format);
+      const extension = { json: 'json', text: 'txt', srt: 'srt' }[format];
+      reply
+        .type(contentType)
+        .header('Content-Disposition', `attachment; filename="${call.callSid}.${extension}"`)
+        .send(body);
+    } catch (error) {
+      request.log.error({ err: error }, 'Error exporting transcript');
+      sendError(reply, 'INTERNAL_ERROR', 'Failed to export transcript');
+    }
+  });
+
+  // Post-call analysis: the outcome of every finished call and fields extracted from its transcript,
+  // by the rules in analysis.json or by the module in ANALYZER_MODULE
+  const callAnalyzer = createCallAnalyzer({
+    config: loadAnalysisConfig(env.ANALYSIS_CONFIG_PATH || path.join(__dirname, 'analysis.json')),
+    analyzerModule: env.ANALYZER_MODULE,
+    timeoutMs: Number(env.ANALYZER_TIMEOUT_SECONDS || 30) * 1000,
+  });
+  log.info(`Analyzing calls with ${callAnalyzer.analyzer === 'module' ? env.ANALYZER_MODULE : 'the built-in rules'}`);
+
+  // Route to analyze a stored call again, e.g. after the rules changed
+  fastify.post('/calls/:callSid/analysis', { schema: callSchemas.analyze, preValidation: requireScope('calls') }, async (request, reply) => {
+    try {
+      const call = await request.tenant.storage.getCall(request.params.callSid);
+      if (!call) {
+        return sendError(reply, 'NOT_FOUND', 'Call not found');
+      }
+
+      const analysis = await callAnalyzer.analyze(buildTranscript(call.logs), {
+        callSid: call.callSid,
+        phoneNumber: call.phoneNumber,
+        direction: call.direction,
+        status: call.status,
+        optOut: call.optOut || null,
+      });
+      await request.tenant.storage.updateCall(call.phoneNumber, call.callSid, { analysis });
+      reply.send({ success: true, analysis });
+    } catch (error) {
+      request.log.error({ err: error }, 'Error analyzing call');
+      sendError(reply, 'INTERNAL_ERROR', 'Failed to analyze call');
+    }
+  });
+
+  // Post-call webhooks: the transcript and outcome of every finished call, e.g. for a CRM
+  // Deliveries of a tenant are signed with the tenant's own secret
+  const webhookDispatcher = createWebhookDispatcher({
+    getSecret: (tenantId) => (tenantId && tenantId !== DEFAULT_TENANT_ID
+      ? tenantStore.get(tenantId)?.webhook_secret
+      : env.WEBHOOK_SECRET),
+    deadLetterPath: path.join(DATA_DIR, 'webhook-dead-letters.json'),
+  });
+
+  // Helper function to list the dead letters of a tenant
+  const listTenantDeadLetters = (tenantId) =>
+    webhookDispatcher.listDeadLetters().filter((deadLetter) => (deadLetter.tenant || DEFAULT_TENANT_ID) === tenantId);
+
+  // Route to list webhook deliveries that kept failing
+  fastify.get('/webhooks/dead-letters', { preValidation: requireScope('webhooks') }, async (request, reply) => {
+    reply.send({ success: true, deadLetters: listTenantDeadLetters(request.tenant.id) });
+  });
+
+  // Route to try a failed webhook delivery again
+  fastify.post('/webhooks/dead-letters/:id/redeliver', { schema: webhookSchemas.redeliver, preValidation: requireScope('webhooks') }, async (request, reply) => {
+    if (!listTenantDeadLetters(request.tenant.id).some(({ id }) => id === request.params.id)) {
+      return sendError(reply, 'NOT_FOUND', 'Dead letter not found');
+    }
+
+    const result = await webhookDispatcher.redeliver(request.params.id);
+    if (!result) {
+      return sendError(reply, 'NOT_FOUND', 'Dead letter not found');
+    }
+    if (!result.delivered) {
+      return sendError(reply, 'DELIVERY_FAILED', `Redelivery failed: ${result.error}`);
+    }
+
+    reply.send({ success: true });
+  });
+
+  // Retries: unanswered or failed calls are redialed according to their retry policy
+  const retryScheduler = createRetryScheduler({
+    placeCall: initiateOutboundCall,
+    getCallStatus: async (callSid, tenantId) => (await getTenantOrDefault(tenantId).twilioClient.calls(callSid).fetch()).status,
+    // Every attempt is kept under the call record of the first attempt
+    recordAttempt: (phoneNumber, conversationId, attempt, tenantId) =>
+      getTenantOrDefault(tenantId).storage.updateCall(phoneNumber, conversationId, { [`attempts/${attempt.attempt}`]: attempt }),
+    storePath: path.join(DATA_DIR, 'retries.json'),
+  });
+
+  // Campaigns: batches of outbound calls dispatched within a concurrency limit
+  const campaignManager = createCampaignManager({
+    initiateCall: initiateOutboundCall,
+    checkContact: (contact, campaign) => {
+      const blocked = checkCompliance(contact.number, contact.timezone);
+      if (blocked) {
+        return blocked;
+      }
+      const callerId = callerIdPool.select(campaign.tenant || DEFAULT_TENANT_ID, contact.number);
+      return callerId?.code ? callerId : null;
+    },
+    getCallStatus: async (callSid, tenantId) => (await getTenantOrDefault(tenantId).twilioClient.calls(callSid).fetch()).status,
+    storePath: path.join(DATA_DIR, 'campaigns.json'),
+  });
+
+  // Route to start a campaign
+  fastify.post('/campaigns', { schema: campaignSchema, preValidation: requireScope('campaigns') }, async (request, reply) => {
+    const { contacts, calling_window } = request.body;
+
+    const invalidContact = contacts.findIndex((contact) => contact.timezone && !isValidTimezone(contact.timezone));
+    if (invalidContact !== -1) {
+      return sendError(reply, 'VALIDATION_FAILED', `Contact ${invalidContact} needs a valid timezone`, [
+        { field: `body.contacts.${invalidContact}.timezone` },
+      ]);
+    }
+
+    if (calling_window?.timezone && !isValidTimezone(calling_window.timezone)) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Invalid calling window timezone', [
+        { field: 'body.calling_window.timezone' },
+      ]);
+    }
+
+    const machineDetection = parseMachineDetection(request.body.machine_detection);
+    if (machineDetection.error) {
+      return sendError(reply, 'VALIDATION_FAILED', machineDetection.error, [{ field: 'body.machine_detection' }]);
+    }
+
+    const transfer = parseTransferOptions(request.body.transfer, TRANSFER_DEFAULTS);
+    if (transfer.error) {
+      return sendError(reply, 'VALIDATION_FAILED', transfer.error, [{ field: 'body.transfer' }]);
+    }
+
+    // A campaign template is rendered for every contact up front, with the contact's own variables,
+    // so later template versions don't change a running campaign
+    const renderedContacts = [];
+    for (const [index, contact] of contacts.entries()) {
+      const template = applyTemplate(request.tenant, {
+        template: request.body.template,
+        template_version: request.body.template_version,
+        prompt: request.body.prompt,
+        first_message: request.body.first_message,
+        elevenlabs_agent_id: request.body.elevenlabs_agent_id,
+        ...contact,
+      });
+      if (template.error) {
+        return sendError(reply, template.code, `Contact ${index}: ${template.error}`, template.details);
+      }
+      renderedContacts.push({ ...contact, ...template.fields });
+    }
+
+    const campaign = await campaignManager.create(request.headers.host, {
+      ...request.body,
+      contacts: renderedContacts,
+      machine_detection: machineDetection.config,
+      transfer: transfer.config,
+      tenant: request.tenant.id,
+    });
+    reply.code(201).send({ success: true, campaign });
+  });
+
+  // Helper function to check a campaign belongs to the tenant of the request
+  const isTenantCampaign = (campaign, tenantId) => Boolean(campaign) && (campaign.tenant || DEFAULT_TENANT_ID) === tenantId;
+
+  // Route to list the campaigns of the tenant
+  fastify.get('/campaigns', { preValidation: requireScope('campaigns') }, async (request, reply) => {
+    reply.send({
+      success: true,
+      campaigns: campaignManager.list().filter((campaign) => isTenantCampaign(campaign, request.tenant.id)),
+    });
+  });
+
+  // Route to check a campaign's progress
+  fastify.get('/campaigns/:id', { schema: campaignSchemas.get, preValidation: requireScope('campaigns') }, async (request, reply) => {
+    const campaign = campaignManager.get(request.params.id, {
+      includeContacts: request.query.contacts === true,
+    });
+    if (!isTenantCampaign(campaign, request.tenant.id)) {
+      return sendError(reply, 'NOT_FOUND', 'Campaign not found');
+    }
+
+    reply.send({ success: true, campaign });
+  });
+
+  // Routes to pause, resume and cancel a campaign
+  for (const action of ['pause', 'resume', 'cancel']) {
+    fastify.post(`/campaigns/:id/${action}`, { schema: campaignSchemas.action, preValidation: requireScope('campaigns') }, async (request, reply) => {
+      if (!isTenantCampaign(campaignManager.get(request.params.id), request.tenant.id)) {
+        return sendError(reply, 'NOT_FOUND', 'Campaign not found');
+      }
+
+      const result = await campaignManager[action](request.params.id);
+      if (!result) {
+        return sendError(reply, 'NOT_FOUND', 'Campaign not found');
+      }
+      if (result.error) {
+        return sendError(reply, 'CONFLICT', result.error, { campaign: result.campaign });
+      }
+
+      reply.send({ success: true, campaign: result.campaign });
+    });
+  }
+
+  // Helper function to find the tenant a Twilio webhook is for: the one named in the URLs we gave Twilio,
+  // otherwise the owner of the number an inbound call was made to, otherwise the default tenant
+  const resolveWebhookTenant = (request) => {
+    if (request.query?.tenant) {
+      return getTenant(request.query.tenant);
+    }
+
+    const owner = request.body?.To && findNumberOwner(request.body.To);
+    return owner ? getTenant(owner) : defaultTenant;
+  };
+
+  // Helper function to validate the X-Twilio-Signature header of a webhook request,
+  // with the auth token of the account that sent it
+  const isValidTwilioRequest = (request, tenant) => {
+    const signature = request.headers['x-twilio-signature'];
+    if (!signature || !tenant) {
+      return false;
+    }
+
+    const url = `https://${request.headers.host}${request.url}`;
+    return Twilio.validateRequest(tenant.authToken, signature, url, request.body || {});
+  };
+
+  // Hook rejecting webhook requests that were not signed by Twilio
+  const requireTwilioSignature = async (request, reply) => {
+    const tenant = resolveWebhookTenant(request);
+    if (!isValidTwilioRequest(request, tenant)) {
+      request.log.warn(`Invalid Twilio signature for ${request.method} ${request.routeOptions.url}. Access denied.`);
+      return sendError(reply, 'INVALID_SIGNATURE', 'Invalid Twilio signature');
+    }
+
+    request.tenant = tenant;
+  };
+
+  // Secret for media stream tokens. Without STREAM_TOKEN_SECRET a random one is used,
+  // which is fine as long as the same process serves the TwiML and the stream.
+  const STREAM_TOKEN_SECRET = env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+  const STREAM_TOKEN_TTL_MS = Number(env.STREAM_TOKEN_TTL_SECONDS || 60) * 1000;
+
+  // Helper function to build the stream TwiML for a call, with a token only that call can use
+  const buildSignedStreamTwiml = (host, callSid, parameters) =>
+    buildStreamTwiml(host, {
+      ...parameters,
+      stream_token: createStreamToken(STREAM_TOKEN_SECRET, callSid, STREAM_TOKEN_TTL_MS),
+    });
+
+  // Twilio status callback for outbound calls
+  fastify.post('/call-status', { schema: callStatusSchema, preValidation: requireTwilioSignature }, async (request, reply) => {
+    const { CallSid, CallStatus, CallDuration, Timestamp, To } = request.body;
+    request.log.info({ callSid: CallSid }, `Status callback: ${CallStatus}`);
+
+    await callLifecycle.transition(CallSid, CallStatus, {
+      timestamp: Date.parse(Timestamp) || Date.now(),
+      callDuration: CallDuration,
+      phoneNumber: To,
+    });
+
+    reply.code(204).send();
+  });
+
+  // TwiML route for outbound calls
+  fastify.all('/outbound-call-twiml', { preValidation: requireTwilioSignature }, async (request, reply) => {
+    const params = { ...request.query, ...(request.body || {}) };
+    const prompt = params.prompt || '';
+    const first_message = params.first_message || '';
+    const phone = params.phone || '';
+    const streamParameters = { prompt, first_message, phone, tenant: request.tenant.id };
+    const { storage } = request.tenant;
+
+    // With machine detection enabled, Twilio tells us who picked up
+    if (params.AnsweredBy) {
+      const session = await sessionStore.update(params.CallSid, { answeredBy: params.AnsweredBy });
+      const machineDetection = session?.machineDetection;
+
+      request.log.info({ callSid: params.CallSid }, `Answered by ${params.AnsweredBy}`);
+      storage.appendLog(phone, params.CallSid, `Answering machine detection: ${params.AnsweredBy}`, 'system');
+      storage.updateCall(phone, params.CallSid, { answeredBy: params.AnsweredBy });
+
+      if (isMachine(params.AnsweredBy)) {
+        if (machineDetection?.action === 'voicemail' && params.AnsweredBy !== 'fax') {
+          if (machineDetection.voicemail_url) {
+            storage.appendLog(phone, params.CallSid, 'Playing recorded voicemail message', 'system');
+            return reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+        <Play>${escapeXml(machineDetection.voicemail_url)}</Play>
+        <Hangup />
+    </Response>`);
+          }
+
+          // The agent speaks the voicemail message itself, then the bridge hangs up
+          streamParameters.mode = 'voicemail';
+        } else {
+          storage.appendLog(phone, params.CallSid, 'Machine answered, hanging up', 'system');
+          return reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+        <Hangup />
+    </Response>`);
+        }
+      }
+    }
+
+    const twimlResponse = buildSignedStreamTwiml(request.headers.host, params.CallSid, streamParameters);
+
+    reply.type('text/xml').send(twimlResponse);
+  });
+
+  // TwiML webhook for inbound calls to our Twilio number
+  fastify.all('/inbound-call', { preValidation: requireTwilioSignature }, async (request, reply) => {
+    const params = { ...request.query, ...(request.body || {}) };
+    const caller = params.From || '';
+    const called = params.To || '';
+
+    request.log.info({ callSid: params.CallSid }, `Inbound call from ${caller} to ${called}`);
+
+    const variables = await resolveInboundVariables(caller, called, request.tenant);
+    if (!variables) {
+      request.log.info({ callSid: params.CallSid }, `No route for ${caller}, using default agent`);
+    }
+
+    if (params.CallSid) {
+      await sessionStore.create(params.CallSid, {
+        phoneNumber: caller,
+        direction: 'inbound',
+        variables: variables || {},
+        transfer: parseTransferOptions(undefined, TRANSFER_DEFAULTS).config,
+        record: env.RECORD_INBOUND_CALLS === 'true',
+        tenantId: request.tenant.id,
+      });
+      await request.tenant.storage.startCall(caller, params.CallSid, { direction: 'inbound' });
+      metrics.callsInitiated.inc({ direction: 'inbound' });
+      await callLifecycle.transition(params.CallSid, params.CallStatus || 'ringing');
+    }
+
+    // The bridge reads the agent, prompt and first_message from the session once the stream starts
+    const twimlResponse = buildSignedStreamTwiml(request.headers.host, params.CallSid, {
+      phone: caller,
+      direction: 'inbound',
+      tenant: request.tenant.id,
+    });
+
+    reply.type('text/xml').send(twimlResponse);
+  });
+
+  // TwiML played to the human who takes over a transferred call, before the caller is connected
+  fastify.all('/transfer-whisper', { preValidation: requireTwilioSignature }, async (request, reply) => {
+    const session = await sessionStore.get(request.query.callSid);
+    const summary = session?.transferResult?.summary;
+
+    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+        <Say>Incoming transfer from the AI assistant.</Say>
+        ${summary ? `<Say>${escapeXml(summary)}</Say>` : ''}
+    </Response>`;
+
+    reply.type('text/xml').send(twimlResponse);
+  });
+
+  // How long the agent must be quiet before a voicemail counts as spoken, and the hard limit for it
+  const VOICEMAIL_SETTLE_MS = 1500;
+  const VOICEMAIL_MAX_MS = Number(env.VOICEMAIL_MAX_SECONDS || 60) * 1000;
+
+  // Helper function to hang up a live call through the Twilio API of its tenant
+  const hangUpCall = async (tenant, callSid) => {
+    try {
+      await tenant.twilioClient.calls(callSid).update({ status: 'completed' });
+      log.info({ callSid }, 'Hung up call');
+    } catch (error) {
+      log.error({ err: error, callSid }, 'Failed to hang up call');
+    }
+  };
+
+  // Helper function to find an active call of the tenant of the request
+  const getTenantCall = (request, callSid) => {
+    const call = callMonitor.get(callSid);
+    return call?.tenant === request.tenant.id ? call : null;
+  };
+
+  // Route to list the calls the bridge is handling right now
+  fastify.get('/monitor/calls', { preValidation: requireScope('monitor') }, async (request, reply) => {
+    reply.send({ success: true, calls: callMonitor.list({ tenant: request.tenant.id }) });
+  });
+
+  // Server-sent events for supervisors: the active calls first, then every call event as it happens.
+  // EventSource can't send headers, so browsers pass the key as the token query parameter.
+  fastify.get('/monitor/events', { preValidation: requireScope('monitor') }, async (request, reply) => {
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+
+    const sendEvent = (event) => {
+      reply.raw.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    sendEvent({ type: 'active_calls', calls: callMonitor.list({ tenant: request.tenant.id }), timestamp: Date.now() });
+    const unsubscribe = callMonitor.subscribe((event) => {
+      if (event.tenant === request.tenant.id) {
+        sendEvent(event);
+      }
+    });
+
+    // Comments keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => reply.raw.write(': keep-alive\n\n'), 15000);
+
+    request.raw.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+      request.log.info('Supervisor disconnected from event stream');
+    });
+    request.log.info(`${request.apiKey.client} connected to event stream`);
+  });
+
+  // Prometheus scrape endpoint. Configure the scrape job with a key that has the monitor scope.
+  fastify.get('/metrics', { preValidation: requireScope('monitor') }, async (request, reply) => {
+    reply.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+  });
+
+  // Route to hang up a live call
+  fastify.post('/calls/:callSid/hangup', { schema: callSchemas.hangup, preValidation: requireScope('monitor') }, async (request, reply) => {
+    const { callSid } = request.params;
+    const call = getTenantCall(request, callSid);
+    if (!call) {
+      return sendError(reply, 'NOT_FOUND', 'No active call with this callSid');
+    }
+
+    try {
+      await request.tenant.twilioClient.calls(callSid).update({ status: 'completed' });
+      request.log.info({ callSid }, `${request.apiKey.client} hung up call`);
+      request.tenant.storage.appendLog(call.phoneNumber, callSid, 'Call hung up by a supervisor', 'system');
+      reply.send({ success: true, callSid });
+    } catch (error) {
+      request.log.error({ err: error, callSid }, 'Failed to hang up call');
+      sendTwilioError(reply, error, 'Failed to hang up call');
+    }
+  });
+
+  // Mid-call control: the longest clip that may be played into a call, and the voice text is spoken with
+  const MAX_CLIP_SECONDS = Number(env.MAX_CLIP_SECONDS || 30);
+  const TTS_VOICE_ID = env.TTS_VOICE_ID;
+
+  // Helper function to find the controls of a live call of the tenant of the request
+  const getTenantCallControls = (request) =>
+    getTenantCall(request, request.params.callSid) ? callControls.get(request.params.callSid) : null;
+
+  // Routes to tell the agent of a live call something: a contextual update is background it may use,
+  // e.g. "the payment was confirmed"; a user message is handled as if the caller had said it
+  for (const [route, action] of [['contextual-update', 'sendContextualUpdate'], ['user-message', 'sendUserMessage']]) {
+    fastify.post(`/calls/:callSid/${route}`, { schema: callSchemas.message, preValidation: requireScope('calls') }, async (request, reply) => {
+      const controls = getTenantCallControls(request);
+      if (!controls) {
+        return sendError(reply, 'NOT_FOUND', 'No active call with this callSid');
+      }
+
+      if (!controls[action](request.body.text, request.apiKey.client)) {
+        return sendError(reply, 'CONFLICT', 'The agent is not connected to this call right now');
+      }
+
+      reply.send({ success: true, callSid: request.params.callSid });
+    });
+  }
+
+  // Route to play a short clip to the caller: text spoken with an ElevenLabs voice, or base64 8kHz μ-law audio.
+  // The agent is quiet while the clip plays.
+  fastify.post('/calls/:callSid/play', { schema: callSchemas.play, preValidation: requireScope('calls') }, async (request, reply) => {
+    const { text, voice_id, audio } = request.body;
+    if (Boolean(text) === Boolean(audio)) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Send either text or audio');
+    }
+
+    const voiceId = voice_id || TTS_VOICE_ID;
+    if (text && !voiceId) {
+      return sendError(reply, 'VALIDATION_FAILED', 'Send a voice_id, or set TTS_VOICE_ID', [{ field: 'body.voice_id' }]);
+    }
+
+    const controls = getTenantCallControls(request);
+    if (!controls) {
+      return sendError(reply, 'NOT_FOUND', 'No active call with this callSid');
+    }
+
+    let clipAudio = audio;
+    if (text) {
+      try {
+        clipAudio = await request.tenant.elevenLabs.textToSpeech(text, { voiceId });
+      } catch (error) {
+        request.log.error({ err: error }, 'Failed to synthesize clip');
+        return sendError(reply, 'SPEECH_FAILED', `Failed to synthesize speech: ${error.message}`);
+      }
+    }
+
+    const clip = splitAudio(clipAudio, { maxSeconds: MAX_CLIP_SECONDS });
+    if (clip.error) {
+      return sendError(reply, 'VALIDATION_FAILED', clip.error, [{ field: text ? 'body.text' : 'body.audio' }]);
+    }
+
+    if (!controls.play(clip.chunks, { text, durationMs: clip.durationMs, client: request.apiKey.client })) {
+      return sendError(reply, 'CONFLICT', 'The call cannot play a clip right now');
+    }
+
+    reply.send({ success: true, callSid: request.params.callSid, durationMs: clip.durationMs });
+  });
+
+  // Route to end a live call gracefully: the agent leaves and the caller hears the goodbye, if any, before Twilio hangs up
+  fastify.post('/calls/:callSid/end', { schema: callSchemas.end, preValidation: requireScope('calls') }, async (request, reply) => {
+    const controls = getTenantCallControls(request);
+    if (!controls) {
+      return sendError(reply, 'NOT_FOUND', 'No active call with this callSid');
+    }
+
+    try {
+      if (!(await controls.end({ goodbye: request.body?.goodbye, client: request.apiKey.client }))) {
+        return sendError(reply, 'CONFLICT', 'The call is already being transferred or ended');
+      }
+      reply.send({ success: true, callSid: request.params.callSid });
+    } catch (error) {
+      request.log.error({ err: error, callSid: request.params.callSid }, 'Failed to end call');
+      sendTwilioError(reply, error, 'Failed to end call');
+    }
+  });
+
+  // Listen-only audio of one live call. Messages are { track: 'caller' | 'agent', payload },
+  // with base64 8kHz μ-law audio as Twilio sends it; anything the supervisor sends is ignored.
+  fastify.register(async (fastifyInstance) => {
+    fastifyInstance.get('/monitor/calls/:callSid/audio', {
+      websocket: true,
+      schema: monitorSchemas.audio,
+      preValidation: requireScope('monitor'),
+      preHandler: async (request, reply) => {
+        if (!getTenantCall(request, request.params.callSid)) {
+          return sendError(reply, 'NOT_FOUND', 'No active call with this callSid');
+        }
+      },
+    }, (socket, request) => {
+      const { callSid } = request.params;
+      request.log.info({ callSid }, `${request.apiKey.client} listening to call`);
+
+      const stopListening = callMonitor.listen(callSid, (audio) => {
+        if (!audio) {
+          socket.close(1000, 'Call ended');
+          return;
+        }
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify(audio));
+        }
+      });
+
+      socket.on('close', stopListening);
+    });
+  });
+
+  // How long a call waits for ElevenLabs to come back before the fallback plays, and what the caller hears
+  const AGENT_RECONNECT_TIMEOUT_MS = Number(env.AGENT_RECONNECT_TIMEOUT_SECONDS || 10) * 1000;
+  const AGENT_FALLBACK_MESSAGE = env.AGENT_FALLBACK_MESSAGE
+    || 'We are sorry, we are having technical difficulties. Please try again later.';
+  const AGENT_RESUME_MESSAGE = env.AGENT_RESUME_MESSAGE || 'Sorry about that, I am back. Where were we?';
+  // How long past its end a clip waits for Twilio to report it played
+  const CLIP_MARK_GRACE_MS = 2000;
+  // Twilio sends 20ms of audio per media message
+  const AGENT_AUDIO_BUFFER_CHUNKS = Number(env.AGENT_AUDIO_BUFFER_SECONDS || 2) * 50;
+
+  // WebSocket route for handling media streams
+  fastify.register(async (fastifyInstance) => {
+    fastifyInstance.get('/outbound-media-stream', { websocket: true }, (ws, req) => {
+      // Loggers of this call, bound to its callSid and streamSid once the stream starts
+      let callLog = createLogger('bridge');
+      let agentLog = createLogger('elevenlabs');
+      callLog.info('Twilio connected to outbound media stream');
+
+      // Variables to track the call
+      let streamSid = null;
+      let callSid = null;
+      let elevenLabsWs = null;
+      let customParameters = null; // Add this to store parameters
+      let phoneNumber = null;
+      let callVariables = null;
+      let voicemailMessage = null; // Set when the agent leaves a voicemail instead of talking to a human
+      let voicemailSettleTimer = null;
+      let voicemailMaxTimer = null;
+      let transferConfig = parseTransferOptions(undefined, TRANSFER_DEFAULTS).config;
+      let transferring = false;
+      const transcript = []; // Agent and caller turns, in order
+      let streamStartedAt = null;
+      let recorder = null; // Only set for calls that opted into recording
+      const interruptions = [];
+      let dynamicVariablesUsed = {};
+      let webhookUrl = null;
+      // The tenant of the call, known once the stream starts
+      let tenant = defaultTenant;
+      let callFinished = false;
+      let optOut = null; // Set when the caller asked not to be called again
+      let playingClip = null; // Mark name of the clip the caller is hearing, played through the API
+      let clipTimer = null;
+      let clipCount = 0;
+      let endedBy = null; // Set when the call was ended through the API
+
+      // ElevenLabs connection state; the agent may be reconnected several times during one call
+      let agentConnectedBefore = false;
+      let agentClosing = false; // Set when we close the agent connection on purpose
+      let agentFailed = false; // Set when the agent didn't come back and the fallback took over
+      let reconnectAttempt = 0;
+      let reconnectTimer = null;
+      let agentFallbackTimer = null;
+      const bufferedCallerAudio = createAudioBuffer(AGENT_AUDIO_BUFFER_CHUNKS);
+
+      // Handle WebSocket errors
+      ws.on('error', (error) => callLog.error({ err: error }, 'Media stream error'));
+
+      // Once the agent has gone quiet, ask Twilio to report when the voicemail finished playing
+      const scheduleVoicemailEnd = () => {
+        clearTimeout(voicemailSettleTimer);
+        voicemailSettleTimer = setTimeout(() => {
+          ws.send(
+            JSON.stringify({
+              event: 'mark',
+              streamSid,
+              mark: { name: 'voicemail-end' },
+            })
+          );
+        }, VOICEMAIL_SETTLE_MS);
+      };
+
+      const finishVoicemail = (reason) => {
+        clearTimeout(voicemailSettleTimer);
+        clearTimeout(voicemailMaxTimer);
+        callLog.info(`${reason}, hanging up`);
+        tenant.storage.appendLog(phoneNumber, callSid, reason, 'system');
+        hangUpCall(tenant, callSid);
+      };
+
+      // Hand the live call over to a human: redirect it in Twilio, then leave the conversation
+      const transferCall = async (reason, agentSummary, { announcement } = {}) => {
+        if (transferring || !transferConfig || !callSid) {
+          return false;
+        }
+        transferring = true;
+
+        const target = transferConfig.sip || transferConfig.number;
+        const summary = agentSummary || summarizeTranscript(transcript);
+        const transferResult = { target, reason, summary, timestamp: Date.now() };
+
+        callLog.info(`Transferring to ${target} (${reason})`);
+
+        try {
+          // The whisper route reads the summary from the session
+          await sessionStore.update(callSid, { transferResult });
+
+          const whisperUrl = transferConfig.whisper
+            ? `https://${req.headers.host}/transfer-whisper?callSid=${encodeURIComponent(callSid)}&tenant=${encodeURIComponent(tenant.id)}`
+            : null;
+          await tenant.twilioClient.calls(callSid).update({
+            twiml: buildTransferTwiml({ ...transferConfig, announcement: announcement || transferConfig.announcement }, whisperUrl),
+          });
+        } catch (error) {
+          callLog.error({ err: error }, 'Failed to transfer call');
+          tenant.storage.appendLog(phoneNumber, callSid, `Transfer to ${target} failed: ${error.message}`, 'system');
+          transferring = false;
+          return false;
+        }
+
+        tenant.storage.appendLog(phoneNumber, callSid, `Call transferred to ${target}`, 'system');
+        tenant.storage.updateCall(phoneNumber, callSid, { transfer: transferResult });
+
+        closeAgent('Call transferred');
+        return true;
+      };
+
+      // Close the ElevenLabs connection on purpose, so it isn't taken for a failure
+      const closeAgent = (reason) => {
+        agentClosing = true;
+        clearTimeout(reconnectTimer);
+        clearTimeout(agentFallbackTimer);
+        if (elevenLabsWs?.readyState === WebSocket.OPEN || elevenLabsWs?.readyState === WebSocket.CONNECTING) {
+          elevenLabsWs.close(1000, reason);
+        }
+      };
+
+      // The agent couldn't be reached or dropped the call: try again until the fallback deadline
+      const handleAgentFailure = (reason) => {
+        if (agentClosing || agentFailed || callFinished || transferring) {
+          return;
+        }
+
+        agentLog.error(`Connection failed: ${reason}`);
+        metrics.agentFailures.inc();
+        tenant.storage.appendLog(phoneNumber, callSid, `ElevenLabs connection failed: ${reason}`, 'system');
+        callMonitor.publish(callSid, 'agent_disconnected', { reason });
+
+        if (!agentFallbackTimer) {
+          agentFallbackTimer = setTimeout(fallBackFromAgent, AGENT_RECONNECT_TIMEOUT_MS);
+        }
+
+        const delay = getReconnectDelay(reconnectAttempt);
+        reconnectAttempt += 1;
+        agentLog.info(`Reconnecting in ${delay}ms (attempt ${reconnectAttempt})`);
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(setupElevenLabs, delay);
+      };
+
+      // The agent didn't come back in time: hand the caller to a human if we can, otherwise apologize and hang up
+      const fallBackFromAgent = async () => {
+        if (agentFailed || callFinished || transferring) {
+          return;
+        }
+        agentFailed = true;
+        closeAgent('Agent unavailable');
+
+        const reason = `ElevenLabs unavailable for ${AGENT_RECONNECT_TIMEOUT_MS / 1000}s, playing fallback`;
+        agentLog.error(reason);
+        tenant.storage.appendLog(phoneNumber, callSid, reason, 'system');
+
+        if (transferConfig && await transferCall('agent unavailable', undefined, { announcement: AGENT_FALLBACK_MESSAGE })) {
+          return;
+        }
+
+        try {
+          await tenant.twilioClient.calls(callSid).update({ twiml: buildFallbackTwiml(AGENT_FALLBACK_MESSAGE) });
+        } catch (error) {
+          callLog.error({ err: error }, 'Failed to play fallback');
+          hangUpCall(tenant, callSid);
+        }
+      };
+
+      // Send a message to the agent, if it is connected right now
+      const sendToAgent = (message) => {
+        if (elevenLabsWs?.readyState !== WebSocket.OPEN) {
+          return false;
+        }
+        elevenLabsWs.send(JSON.stringify(message));
+        return true;
+      };
+
+      // Tell the agent something mid-call, on behalf of an API client
+      const sendAgentMessage = (type, text, client) => {
+        if (agentFailed || transferring || endedBy || !sendToAgent({ type, text })) {
+          return false;
+        }
+
+        const label = type === 'user_message' ? 'User message' : 'Contextual update';
+        callLog.info(`${label} from ${client}`);
+        tenant.storage.appendLog(phoneNumber, callSid, `${label} from ${client}: ${text}`, 'system');
+        callMonitor.publish(callSid, type, { message: text, client });
+        return true;
+      };
+
+      const finishClip = () => {
+        clearTimeout(clipTimer);
+        playingClip = null;
+      };
+
+      // Play a clip to the caller through the stream. The agent's queued audio is cleared, and the agent
+      // neither speaks nor hears the caller until Twilio reports the clip was played.
+      const playClip = (chunks, { text, durationMs, client }) => {
+        if (!streamSid || callFinished || transferring || endedBy) {
+          return false;
+        }
+
+        clipCount += 1;
+        playingClip = `clip-${clipCount}`;
+        ws.send(JSON.stringify({ event: 'clear', streamSid }));
+        recorder?.clearAgentAudio();
+        for (const chunk of chunks) {
+          ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload: chunk } }));
+          recorder?.addAgentAudio(chunk);
+          callMonitor.relayAudio(callSid, 'agent', chunk);
+        }
+        ws.send(JSON.stringify({ event: 'mark', streamSid, mark: { name: playingClip } }));
+
+        // Should Twilio never report the mark, the agent takes over once the clip must have ended
+        clearTimeout(clipTimer);
+        clipTimer = setTimeout(finishClip, durationMs + CLIP_MARK_GRACE_MS);
+
+        const description = text ? `"${text}"` : `${durationMs}ms of audio`;
+        callLog.info(`Playing a clip from ${client}`);
+        tenant.storage.appendLog(phoneNumber, callSid, `Played to the caller by ${client}: ${description}`, 'system');
+        callMonitor.publish(callSid, 'clip_played', { message: text || null, durationMs, client });
+
+        // So the agent doesn't repeat or contradict what the caller just heard
+        if (text) {
+          sendToAgent({ type: 'contextual_update', text: `The caller was just played this message: "${text}"` });
+        }
+        return true;
+      };
+
+      // End the call on behalf of an API client: Twilio says the goodbye and hangs up, then the agent leaves
+      const endCallByRequest = async ({ goodbye, client }) => {
+        if (!callSid || callFinished || transferring || endedBy) {
+          return false;
+        }
+        endedBy = { client, goodbye: goodbye || null, timestamp: Date.now() };
+
+        try {
+          await tenant.twilioClient.calls(callSid).update(
+            goodbye ? { twiml: buildFallbackTwiml(goodbye) } : { status: 'completed' }
+          );
+        } catch (error) {
+          endedBy = null;
+          throw error;
+        }
+
+        callLog.info(`Call ended by ${client}`);
+        tenant.storage.appendLog(phoneNumber, callSid, `Call ended by ${client}`, 'system');
+        tenant.storage.updateCall(phoneNumber, callSid, { endedBy });
+        callMonitor.publish(callSid, 'call_ending', { client });
+        closeAgent('Call ended through the API');
+        return true;
+      };
+
+      // Write the recording of the call, if it was recorded
+      const saveRecording = async () => {
+        if (!recorder) {
+          return;
+        }
+        const finishedRecorder = recorder;
+        recorder = null;
+
+        if (finishedRecorder.isEmpty) {
+          return;
+        }
+
+        try {
+          const { wav, durationSeconds } = finishedRecorder.toWav();
+          await tenant.recordings.save(callSid, wav);
+          tenant.storage.updateCall(phoneNumber, callSid, {
+            recording: { durationSeconds, savedAt: Date.now() },
+          });
+        } catch (error) {
+          callLog.error({ err: error }, 'Failed to save recording');
+        }
+      };
+
+      // Put the caller on the do-not-call list when they ask not to be called again
+      const recordOptOut = async (text) => {
+        optOut = { phrase: text, at: Date.now() };
+        callLog.info(`${phoneNumber} opted out during the call`);
+
+        try {
+          await doNotCallList.add(phoneNumber, { reason: `Said during call: "${text}"`, source: 'call', callSid });
+          tenant.storage.appendLog(phoneNumber, callSid, 'Caller opted out, added to the do-not-call list', 'system');
+          tenant.storage.updateCall(phoneNumber, callSid, { optOut });
+          callMonitor.publish(callSid, 'opt_out', { message: text });
+        } catch (error) {
+          callLog.error({ err: error }, 'Failed to record opt-out');
+        }
+      };
+
+      // The status a call ended with, as far as the bridge can tell
+      const getFinalStatus = (session) => {
+        if (transferring) {
+          return 'transferred';
+        }
+        if (agentFailed) {
+          return 'agent_unavailable';
+        }
+        if (endedBy) {
+          return 'ended_by_api';
+        }
+        if (voicemailMessage) {
+          return 'voicemail';
+        }
+
+        // The stream ends just before Twilio reports the call as completed
+        const state = session?.state;
+        return !state || state === 'in-progress' ? 'completed' : state;
+      };
+
+      // Classify the finished call and extract fields from its transcript, then store the result
+      const analyzeCall = async (session, status) => {
+        try {
+          const analysis = await callAnalyzer.analyze(transcript, {
+            callSid,
+            phoneNumber,
+            direction: session?.direction || customParameters?.direction || 'outbound',
+            status,
+            optOut,
+            variables: dynamicVariablesUsed,
+          });
+          tenant.storage.updateCall(phoneNumber, callSid, { analysis });
+          callLog.info({ outcome: analysis.outcome, fields: Object.keys(analysis.fields) }, 'Call analyzed');
+          return analysis;
+        } catch (error) {
+          callLog.error({ err: error }, 'Failed to analyze call');
+          return null;
+        }
+      };
+
+      // Send the transcript and outcome of the finished call to the post-call webhook
+      const sendPostCallWebhook = (session, status, analysis) => {
+        if (!webhookUrl) {
+          return;
+        }
+
+        const endedAt = Date.now();
+        webhookDispatcher.deliver(webhookUrl, {
+          event: 'call.ended',
+          callSid,
+          streamSid,
+          phoneNumber,
+          direction: session?.direction || customParameters?.direction || 'outbound',
+          agentId: callVariables?.elevenlabs_agent_id || tenant.agentId,
+          tenant: tenant.id,
+          dynamic_variables: dynamicVariablesUsed,
+          transcript,
+          interruptions: {
+            count: interruptions.length,
+            timestamps: interruptions.map(({ timestamp }) => timestamp),
+          },
+          startedAt: streamStartedAt,
+          endedAt,
+          durationSeconds: streamStartedAt ? Math.round((endedAt - streamStartedAt) / 1000) : 0,
+          status,
+          answeredBy: session?.answeredBy || null,
+          transfer: session?.transferResult || null,
+          optOut,
+          analysis,
+        }, { tenant: tenant.id });
+      };
+
+      // Wrap up the call once, whichever of 'stop' or the socket closing comes first
+      const finishCall = async () => {
+        if (callFinished || !callSid) {
+          return;
+        }
+        callFinished = true;
+
+        saveRecording();
+
+        let session = null;
+        try {
+          session = await sessionStore.end(callSid);
+        } catch (error) {
+          callLog.error({ err: error }, 'Failed to end session');
+        }
+
+        const status = getFinalStatus(session);
+        metrics.callsEnded.inc({ outcome: status });
+        if (streamStartedAt) {
+          metrics.callDuration.observe((Date.now() - streamStartedAt) / 1000);
+        }
+        callMonitor.unregister(callSid, status);
+        callControls.unregister(callSid);
+        tenant.storage.endCall(phoneNumber, callSid, status);
+
+        // The webhook waits for the analysis, which an analyzer module may take a while for
+        const analysis = await analyzeCall(session, status);
+        sendPostCallWebhook(session, status, analysis);
+      };
+
+      // Run a client tool the agent asked for and send the result back to the conversation
+      const handleToolCall = async ({ tool_name, tool_call_id, parameters }) => {
+        let pendingTransfer = null;
+
+        callLog.info(`Agent called ${tool_name}`);
+        const outcome = await toolRegistry.invoke(tool_name, parameters, {
+          toolCallId: tool_call_id,
+          callSid,
+          phoneNumber,
+          variables: callVariables,
+          canTransfer: Boolean(transferConfig),
+          // Deferred until the agent has its result, since the transfer closes the conversation
+          transfer: (reason, summary) => {
+            pendingTransfer = { reason, summary };
+          },
+        });
+
+        if (elevenLabsWs?.readyState === WebSocket.OPEN) {
+          elevenLabsWs.send(
+            JSON.stringify({
+              type: 'client_tool_result',
+              tool_call_id,
+              result: outcome.result,
+              is_error: outcome.isError,
+            })
+          );
+        }
+
+        tenant.storage.appendToolCall(phoneNumber, callSid, {
+          tool: tool_name || null,
+          toolCallId: tool_call_id || null,
+          parameters: parameters || {},
+          result: outcome.result,
+          isError: outcome.isError,
+          durationMs: outcome.durationMs,
+          timestamp: Date.now(),
+        });
+
+        if (pendingTransfer) {
+          transferCall(pendingTransfer.reason, pendingTransfer.summary);
+        }
+      };
+
+      // Set up ElevenLabs connection. Also used to reconnect, with the conversation so far.
+      const setupElevenLabs = async () => {
+        if (agentClosing || callFinished) {
+          return;
+        }
+
+        const connectStartedAt = Date.now();
+        let signedUrl;
+        try {
+          signedUrl = await tenant.elevenLabs.getSignedUrl(callVariables?.elevenlabs_agent_id || tenant.agentId);
+        } catch (error) {
+          handleAgentFailure(`signed URL request failed: ${error.message}`);
+          return;
+        }
+        if (agentClosing || callFinished) {
+          return;
+        }
+
+        try {
+          const agentWs = new WebSocket(signedUrl);
+          elevenLabsWs = agentWs;
+
+          elevenLabsWs.on('open', () => {
+            agentLog.info('Connected to Conversational AI');
+            metrics.agentConnectLatency.observe((Date.now() - connectStartedAt) / 1000);
+            clearTimeout(agentFallbackTimer);
+            agentFallbackTimer = null;
+            if (reconnectAttempt > 0) {
+              agentLog.info(`Reconnected after ${reconnectAttempt} attempt(s)`);
+              tenant.storage.appendLog(phoneNumber, callSid, `Reconnected to ElevenLabs after ${reconnectAttempt} attempt(s)`, 'system');
+              callMonitor.publish(callSid, 'agent_reconnected');
+            }
+            reconnectAttempt = 0;
+
+            // If variables were resolved for this call, merge them into the dynamic variables
+            if (callVariables && customParameters) {
+              customParameters.dynamic_variables = {
+                ...(customParameters.dynamic_variables || {}),
+                ...callVariables
+              };
+              callLog.info('Retrieved dynamic variables from the session');
+            }
+
+            callLog.debug({ dynamicVariables: customParameters?.dynamic_variables }, 'Dynamic variables');
+
+            // Get the prompt from storage if available (bridge approach)
+            let promptText = '';
+            let firstMessageText = '';
+
+            if (callVariables) {
+              if (callVariables.prompt) {
+                promptText = callVariables.prompt;
+                callLog.info('Retrieved prompt from the session');
+              }
+
+              if (callVariables.first_message) {
+                firstMessageText = callVariables.first_message;
+                callLog.info('Retrieved first_message from the session');
+              }
+            }
+
+            // After a reconnect the agent continues the conversation instead of greeting the caller again
+            if (agentConnectedBefore) {
+              promptText = buildResumePrompt(promptText, transcript);
+              firstMessageText = AGENT_RESUME_MESSAGE;
+            }
+
+            // On an answering machine the agent only speaks the voicemail message
+            if (voicemailMessage) {
+              firstMessageText = voicemailMessage;
+            }
+
+            // Send initial configuration with prompt and first message
+            const initialConfig = {
+              type: 'conversation_initiation_client_data',
+              dynamic_variables: customParameters?.dynamic_variables || {},
+              conversation_config_override: {
+                agent: {
+                  prompt: {
+                    prompt: promptText,
+                  },
+                  first_message: firstMessageText,
+                },
+              },
+            };
+
+            agentLog.debug({ prompt: promptText }, 'Sending initial config');
+
+            // Send the configuration to ElevenLabs
+            elevenLabsWs.send(JSON.stringify(initialConfig));
+            dynamicVariablesUsed = initialConfig.dynamic_variables;
+
+            // What the caller said while the agent was away
+            for (const chunk of bufferedCallerAudio.drain()) {
+              elevenLabsWs.send(JSON.stringify({ user_audio_chunk: chunk }));
+              metrics.audioChunks.inc({ direction: 'caller_to_agent' });
+            }
+            agentConnectedBefore = true;
+          });
+
+          elevenLabsWs.on('message', (data) => {
+            try {
+              const message = JSON.parse(data);
+
+              switch (message.type) {
+                case 'conversation_initiation_metadata':
+                  agentLog.info('Received initiation metadata');
+                  tenant.storage.appendLog(phoneNumber, callSid, 'Received initiation metadata', 'system');
+                  break;
+
+                case 'audio':
+                  // The caller is hearing a clip played through the API; the agent waits its turn
+                  if (playingClip) {
+                    break;
+                  }
+                  if (streamSid) {
+                    if (message.audio?.chunk) {
+                      const audioData = {
+                        event: 'media',
+                        streamSid,
+                        media: {
+                          payload: message.audio.chunk,
+                        },
+                      };
+                      ws.send(JSON.stringify(audioData));
+                      recorder?.addAgentAudio(message.audio.chunk);
+                      metrics.audioChunks.inc({ direction: 'agent_to_caller' });
+                      callMonitor.relayAudio(callSid, 'agent', message.audio.chunk);
+                    } else if (message.audio_event?.audio_base_64) {
+                      const audioData = {
+                        event: 'media',
+                        streamSid,
+                        media: {
+                          payload: message.audio_event.audio_base_64,
+                        },
+                      };
+                      ws.send(JSON.stringify(audioData));
+                      recorder?.addAgentAudio(message.audio_event.audio_base_64);
+                      metrics.audioChunks.inc({ direction: 'agent_to_caller' });
+                      callMonitor.relayAudio(callSid, 'agent', message.audio_event.audio_base_64);
+                    }
+
+                    if (voicemailMessage) {
+                      scheduleVoicemailEnd();
+                    }
+                  } else {
+                    agentLog.info('Received audio but no StreamSid yet');
+                  }
+                  break;
+
+                case 'agent_response':
+                  agentLog.info(`Agent response: ${message.agent_response_event?.agent_response}`);
+                  tenant.storage.appendLog(phoneNumber, callSid, message.agent_response_event?.agent_response, 'agent');
+                  callMonitor.publish(callSid, 'agent_response', {
+                    message: message.agent_response_event?.agent_response,
+                  });
+                  transcript.push({
+                    role: 'agent',
+                    message: message.agent_response_event?.agent_response,
+                    timestamp: Date.now(),
+                  });
+                  break;
+
+                case 'interruption':
+                  agentLog.info('Human interrupted');
+                  tenant.storage.appendLog(phoneNumber, callSid, 'Human interrupted', 'system');
+                  callMonitor.publish(callSid, 'interruption');
+                  metrics.interruptions.inc();
+                  recorder?.clearAgentAudio();
+                  interruptions.push({ timestamp: Date.now() });
+
+                  // Send clear event to Twilio to handle interruption
+                  if (streamSid) {
+                    ws.send(
+                      JSON.stringify({
+                        event: 'clear',
+                        streamSid,
+                      })
+                    );
+                  }
+                  break;
+
+                case 'ping':
+                  if (message.ping_event?.event_id) {
+                    elevenLabsWs.send(
+                      JSON.stringify({
+                        type: 'pong',
+                        event_id: message.ping_event.event_id,
+                      })
+                    );
+                  }
+                  break;
+
+                case 'user_transcript':
+                  agentLog.info(`User transcript: ${message.user_transcription_event?.user_transcript}`);
+                  tenant.storage.appendLog(phoneNumber, callSid, message.user_transcription_event?.user_transcript, 'human');
+                  callMonitor.publish(callSid, 'user_transcript', {
+                    message: message.user_transcription_event?.user_transcript,
+                  });
+                  transcript.push({
+                    role: 'human',
+                    message: message.user_transcription_event?.user_transcript,
+                    timestamp: Date.now(),
+                  });
+
+                  if (!optOut && phoneNumber && matchesOptOutPhrase(message.user_transcription_event?.user_transcript, OPT_OUT_PHRASES)) {
+                    recordOptOut(message.user_transcription_event.user_transcript);
+                  }
+
+                  if (matchesTransferPhrase(message.user_transcription_event?.user_transcript, transferConfig?.phrases)) {
+                    transferCall('caller asked for a human');
+                  }
+                  break;
+
+                case 'client_tool_call':
+                  handleToolCall(message.client_tool_call || {});
+                  break;
+
+                default:
+                  agentLog.info(`Unhandled message type: ${message.type}`);
+                  tenant.storage.appendLog(phoneNumber, callSid, `Unhandled message type: ${message.type}`, 'system');
+              }
+            } catch (error) {
+              agentLog.error({ err: error }, 'Error processing message');
+            }
+          });
+
+          elevenLabsWs.on('error', (error) => {
+            agentLog.error({ err: error }, 'WebSocket error');
+          });
+
+          // A normal close (1000) means the agent ended the conversation; anything else is a failure.
+          // A failed connection attempt emits 'error' and then 'close', so failures are handled here only.
+          elevenLabsWs.on('close', (code, reason) => {
+            agentLog.info(`Disconnected (${code}${reason?.length ? `: ${reason}` : ''})`);
+            if (agentWs === elevenLabsWs && code !== 1000) {
+              handleAgentFailure(`connection closed with code ${code}`);
+            }
+          });
+        } catch (error) {
+          agentLog.error({ err: error }, 'Setup error');
+          handleAgentFailure(error.message);
+        }
+      };
+
+      // Handle messages from Twilio
+      ws.on('message', (message) => {
+        try {
+          const msg = JSON.parse(message);
+          if (msg.event !== 'media') {
+            callLog.debug(`Received event: ${msg.event}`);
+          }
+
+          switch (msg.event) {
+            case 'start':
+              streamSid = msg.start.streamSid;
+              callSid = msg.start.callSid;
+              customParameters = msg.start.customParameters; // Store parameters
+              phoneNumber = msg.start.customParameters.phone; // Store phone number
+              streamStartedAt = Date.now();
+
+              // Only streams opened from our own TwiML carry a valid token for their call
+              if (!verifyStreamToken(STREAM_TOKEN_SECRET, callSid, customParameters?.stream_token)) {
+                callLog.warn({ callSid }, 'Invalid stream token. Closing media stream.');
+                callSid = null;
+                ws.close();
+                return;
+              }
+
+              // Every line logged for this call from here on carries its callSid and streamSid
+              callLog = callLog.child({ callSid, streamSid });
+              agentLog = agentLog.child({ callSid, streamSid });
+
+              const { stream_token, ...loggedParameters } = customParameters;
+              callLog.info({ parameters: loggedParameters }, 'Stream started');
+
+              // The tenant came with the signed TwiML; streams of older TwiML fall back to the session below
+              tenant = getTenantOrDefault(customParameters.tenant);
+              webhookUrl = tenant.webhookUrl;
+
+              // Initialize the conversation record
+              tenant.storage.appendLog(phoneNumber, callSid, 'Call started', 'system');
+
+              // Load the session for this call before connecting,
+              // so the signed URL is requested for the right agent
+              sessionStore.get(callSid)
+                .then((session) => {
+                  if (session) {
+                    // Tells the call lifecycle the bridge counts this call once it ends
+                    sessionStore.update(callSid, { streamStartedAt }).catch((error) => {
+                      callLog.error({ err: error }, 'Failed to update session');
+                    });
+                    if (!customParameters.tenant && session.tenantId) {
+                      tenant = getTenantOrDefault(session.tenantId);
+                      webhookUrl = tenant.webhookUrl;
+                    }
+                    phoneNumber = session.phoneNumber || phoneNumber;
+                    callVariables = session.variables;
+                    if (session.transfer !== undefined) {
+                      transferConfig = session.transfer;
+                    }
+                    webhookUrl = session.webhookUrl || webhookUrl;
+                    if (session.record) {
+                      recorder = createCallRecorder({ startedAt: streamStartedAt });
+                      callLog.info('Recording call');
+                    }
+
+                    if (customParameters.mode === 'voicemail' && session.machineDetection?.voicemail_message) {
+                      voicemailMessage = session.machineDetection.voicemail_message;
+                      voicemailMaxTimer = setTimeout(
+                        () => finishVoicemail('Voicemail took too long'),
+                        VOICEMAIL_MAX_MS
+                      );
+                      callLog.info('Leaving voicemail');
+                    }
+                  } else {
+                    callLog.info('No session found, using default agent');
+                    tenant.storage.startCall(phoneNumber, callSid, { direction: customParameters.direction });
+                  }
+
+                  callMonitor.register(callSid, {
+                    phoneNumber,
+                    agentId: callVariables?.elevenlabs_agent_id || tenant.agentId,
+                    direction: session?.direction || customParameters.direction || 'outbound',
+                    state: session?.state || 'in-progress',
+                    tenant: tenant.id,
+                  });
+                  callControls.register(callSid, {
+                    sendContextualUpdate: (text, client) => sendAgentMessage('contextual_update', text, client),
+                    sendUserMessage: (text, client) => sendAgentMessage('user_message', text, client),
+                    play: playClip,
+                    end: endCallByRequest,
+                  });
+                })
+                .catch((error) => {
+                  callLog.error({ err: error }, 'Failed to load session');
+                })
+                .finally(setupElevenLabs);
+              break;
+
+            case 'media':
+              recorder?.addCallerAudio(msg.media.payload, msg.media.timestamp);
+              callMonitor.relayAudio(callSid, 'caller', msg.media.payload);
+
+              // The greeting of an answering machine must not make the agent respond or stop,
+              // nor may the caller talking over a clip
+              if (voicemailMessage || playingClip) {
+                break;
+              }
+              if (elevenLabsWs?.readyState === WebSocket.OPEN) {
+                const audioMessage = {
+                  user_audio_chunk: Buffer.from(msg.media.payload, 'base64').toString('base64'),
+                };
+                elevenLabsWs.send(JSON.stringify(audioMessage));
+                metrics.audioChunks.inc({ direction: 'caller_to_agent' });
+              } else if (agentConnectedBefore && !agentFailed) {
+                // Keep what the caller says while the agent reconnects
+                bufferedCallerAudio.push(msg.media.payload);
+              }
+              break;
+
+            case 'stop':
+              callLog.info('Stream ended');
+              finishCall();
+              closeAgent('Call ended');
+              break;
+
+            case 'mark':
+              if (msg.mark?.name === 'voicemail-end' && voicemailMessage) {
+                finishVoicemail('Voicemail delivered');
+              }
+              if (playingClip && msg.mark?.name === playingClip) {
+                finishClip();
+              }
+              break;
+
+            default:
+              callLog.info(`Unhandled event: ${msg.event}`);
+          }
+        } catch (error) {
+          callLog.error({ err: error }, 'Error processing message');
+        }
+      });
+
+      // Handle WebSocket closure
+      ws.on('close', () => {
+        callLog.info('Client disconnected');
+        clearTimeout(voicemailSettleTimer);
+        clearTimeout(voicemailMaxTimer);
+        clearTimeout(clipTimer);
+        finishCall();
+        closeAgent('Call ended');
+      });
+    });
+  });
+
+  return fastify;
+};
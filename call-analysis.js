@@ -0,0 +1,244 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { readJsonFile } from './json-file.js';
+import { DEFAULT_OPT_OUT_PHRASES } from './compliance.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('analysis');
+
+const DEFAULT_OUTCOME = 'unknown';
+const DEFAULT_ANALYZER_TIMEOUT_MS = 30000;
+
+// Outcome rules, checked in order against the transcript; the first rule that matches wins.
+// "not interested" comes before "interested" so the latter doesn't swallow it.
+export const DEFAULT_ANALYSIS_RULES = [
+  { outcome: 'opted_out', keywords: DEFAULT_OPT_OUT_PHRASES },
+  {
+    outcome: 'wrong_number',
+    keywords: ['wrong number', 'no one by that name', 'nobody by that name', "doesn't live here", 'does not live here', 'never heard of'],
+  },
+  {
+    outcome: 'callback_requested',
+    keywords: ['call me back', 'call back later', 'call me later', 'try again later', 'not a good time', 'busy right now'],
+    patterns: ['\\bcall (me )?(again |back )?(tomorrow|tonight|next|on|at|after|in an? )'],
+  },
+  {
+    outcome: 'not_interested',
+    keywords: ['not interested', 'no thanks', 'no thank you', "don't need", 'do not need'],
+  },
+  {
+    outcome: 'interested',
+    keywords: ['interested', 'sounds good', 'sounds great', 'sign me up', 'tell me more', "let's do it", 'send me'],
+  },
+];
+
+// Fields pulled out of what the caller said. A capture group, when the pattern has one, is the value.
+export const DEFAULT_ANALYSIS_EXTRACTORS = [
+  { field: 'email', pattern: '[a-z0-9._%+-]+@[a-z0-9.-]+\\.[a-z]{2,}' },
+  {
+    field: 'callback_time',
+    pattern:
+      '\\b((?:today|tonight|tomorrow|next week|(?:next |on )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))' +
+      '(?: (?:morning|afternoon|evening))?(?: (?:at|around|after) \\d{1,2}(?::\\d{2})? ?(?:am|pm|a\\.m\\.|p\\.m\\.)?)?' +
+      '|(?:at|around|after) \\d{1,2}(?::\\d{2})? ?(?:am|pm|a\\.m\\.|p\\.m\\.)' +
+      '|in (?:an|one|two|three|a few|\\d+) (?:minutes?|hours?|days?|weeks?))',
+  },
+];
+
+// Helper function to compile the rules and extractors of the analysis config, e.g. from analysis.json.
+// Returns { config } or { error }.
+export const parseAnalysisConfig = ({ rules = DEFAULT_ANALYSIS_RULES, extractors = DEFAULT_ANALYSIS_EXTRACTORS, default_outcome } = {}) => {
+  if (!Array.isArray(rules) || !Array.isArray(extractors)) {
+    return { error: 'rules and extractors must be arrays' };
+  }
+
+  const compile = (pattern, where) => {
+    try {
+      return new RegExp(pattern, 'gi');
+    } catch (error) {
+      throw new Error(`${where} has an invalid pattern: ${error.message}`);
+    }
+  };
+
+  try {
+    const compiledRules = rules.map((rule, index) => {
+      if (!rule?.outcome || typeof rule.outcome !== 'string') {
+        throw new Error(`Rule ${index} needs an outcome`);
+      }
+      if (!rule.keywords?.length && !rule.patterns?.length) {
+        throw new Error(`Rule ${rule.outcome} needs keywords or patterns`);
+      }
+
+      return {
+        outcome: rule.outcome,
+        // Which turns the rule reads: the caller's by default
+        speaker: rule.speaker || 'human',
+        keywords: (rule.keywords || []).map((keyword) => keyword.toLowerCase()),
+        patterns: (rule.patterns || []).map((pattern) => compile(pattern, `Rule ${rule.outcome}`)),
+      };
+    });
+
+    const compiledExtractors = extractors.map((extractor, index) => {
+      if (!extractor?.field || !extractor.pattern) {
+        throw new Error(`Extractor ${index} needs a field and a pattern`);
+      }
+
+      return {
+        field: extractor.field,
+        speaker: extractor.speaker || 'human',
+        pattern: compile(extractor.pattern, `Extractor ${extractor.field}`),
+      };
+    });
+
+    return { config: { rules: compiledRules, extractors: compiledExtractors, defaultOutcome: default_outcome || DEFAULT_OUTCOME } };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Helper function to lowercase a turn and straighten curly apostrophes, so keywords match as typed
+const normalize = (text) => String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+
+// Helper function to pick the turns a rule or extractor reads ('human', 'agent' or 'any')
+const turnsOf = (transcript, speaker) =>
+  transcript.filter((turn) => turn.message && (speaker === 'any' || turn.role === speaker));
+
+// Helper function to find the first turn a rule matches
+const matchRule = (rule, transcript) =>
+  turnsOf(transcript, rule.speaker).find((turn) => {
+    const text = normalize(turn.message);
+    return rule.keywords.some((keyword) => text.includes(keyword))
+      || rule.patterns.some((pattern) => {
+        pattern.lastIndex = 0;
+        return pattern.test(text);
+      });
+  });
+
+// Helper function to extract fields. Later turns win, since callers correct themselves.
+const extractFields = (extractors, transcript) => {
+  const fields = {};
+  for (const { field, speaker, pattern } of extractors) {
+    for (const turn of turnsOf(transcript, speaker)) {
+      const matches = [...String(turn.message).matchAll(pattern)];
+      if (matches.length) {
+        const match = matches[matches.length - 1];
+        fields[field] = (match[1] ?? match[0]).trim();
+      }
+    }
+  }
+  return fields;
+};
+
+// Helper function to turn a name like callback_requested into a label like "Callback requested"
+const toLabel = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
+
+// Helper function to write a one-line summary of the call from its outcome and evidence
+const summarize = (outcome, evidence, fields, transcript) => {
+  const label = toLabel(outcome);
+  const humanTurns = turnsOf(transcript, 'human').length;
+
+  const parts = [`${label}.`];
+  if (evidence) {
+    parts.push(`The caller said: "${evidence.message}".`);
+  } else if (humanTurns === 0) {
+    parts.push('The caller said nothing.');
+  }
+  for (const [field, value] of Object.entries(fields)) {
+    parts.push(`${toLabel(field)}: ${value}.`);
+  }
+  parts.push(`${transcript.length} turn(s), ${humanTurns} by the caller.`);
+  return parts.join(' ');
+};
+
+// Post-call analysis: classifies the outcome of a call and extracts fields from its transcript.
+// The built-in analyzer applies keyword and regex rules. An analyzer module, e.g. one asking an LLM,
+// can take over; it exports a default async function (transcript, context) returning
+// { outcome, summary, fields }, and whatever it leaves out is filled in by the rules.
+export const createCallAnalyzer = ({ config, analyzerModule, baseDir = process.cwd(), timeoutMs = DEFAULT_ANALYZER_TIMEOUT_MS }) => {
+  let loadedAnalyzer = null;
+
+  // The module is imported on first use
+  const loadAnalyzer = async () => {
+    if (typeof analyzerModule === 'function') {
+      return analyzerModule;
+    }
+
+    if (!loadedAnalyzer) {
+      const module = await import(pathToFileURL(path.resolve(baseDir, analyzerModule)).href);
+      const analyze = module.default || module.analyze;
+      if (typeof analyze !== 'function') {
+        throw new Error(`Analyzer module ${analyzerModule} does not export an analyze function`);
+      }
+      loadedAnalyzer = analyze;
+    }
+    return loadedAnalyzer;
+  };
+
+  const applyRules = (transcript, context) => {
+    const fields = extractFields(config.extractors, transcript);
+
+    // An opt-out the bridge already acted on settles the outcome
+    if (context.optOut) {
+      const evidence = { role: 'human', message: context.optOut.phrase };
+      return { outcome: 'opted_out', evidence, fields, summary: summarize('opted_out', evidence, fields, transcript) };
+    }
+
+    for (const rule of config.rules) {
+      const turn = matchRule(rule, transcript);
+      if (turn) {
+        const evidence = { role: turn.role, message: turn.message };
+        return { outcome: rule.outcome, evidence, fields, summary: summarize(rule.outcome, evidence, fields, transcript) };
+      }
+    }
+
+    return { outcome: config.defaultOutcome, evidence: null, fields, summary: summarize(config.defaultOutcome, null, fields, transcript) };
+  };
+
+  const runModule = async (transcript, context) => {
+    const analyze = await loadAnalyzer();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Analyzer timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([analyze(transcript, context), timeout]).finally(() => clearTimeout(timer));
+  };
+
+  return {
+    analyzer: analyzerModule ? 'module' : 'rules',
+
+    // Never throws: a failing module falls back to the rules, and its error is kept on the result
+    async analyze(transcript, context = {}) {
+      const turns = (transcript || []).filter((turn) => turn?.message);
+      const byRules = applyRules(turns, context);
+
+      if (!analyzerModule) {
+        return { ...byRules, analyzer: 'rules', analyzedAt: Date.now() };
+      }
+
+      try {
+        const result = (await runModule(turns, context)) || {};
+        return {
+          ...byRules,
+          ...(result.outcome ? { outcome: result.outcome, evidence: result.evidence || null } : {}),
+          ...(result.summary ? { summary: result.summary } : {}),
+          fields: { ...byRules.fields, ...(result.fields || {}) },
+          analyzer: 'module',
+          analyzedAt: Date.now(),
+        };
+      } catch (error) {
+        log.error({ err: error, callSid: context.callSid }, 'Analyzer module failed, using rules');
+        return { ...byRules, analyzer: 'rules', analyzerError: error.message, analyzedAt: Date.now() };
+      }
+    },
+  };
+};
+
+// Helper function to load the analysis config from a JSON file, falling back to the built-in rules
+export const loadAnalysisConfig = (configPath) => {
+  const parsed = parseAnalysisConfig(readJsonFile(configPath, {}));
+  if (parsed.error) {
+    log.error(`Invalid analysis config in ${configPath}: ${parsed.error}. Using the built-in rules.`);
+    return parseAnalysisConfig().config;
+  }
+  return parsed.config;
+};
@@ -0,0 +1,47 @@
+// Twilio plays 20ms of 8kHz μ-law per media message
+const CHUNK_BYTES = 160;
+const BYTES_PER_SECOND = 8000;
+
+// Helper function to split base64 8kHz μ-law audio into the 20ms chunks a Twilio stream expects.
+// Returns { chunks, durationMs } or { error }.
+export const splitAudio = (base64, { maxSeconds }) => {
+  const audio = Buffer.from(base64 || '', 'base64');
+  if (!audio.length) {
+    return { error: 'audio must be base64 8kHz μ-law' };
+  }
+
+  const durationMs = Math.round((audio.length / BYTES_PER_SECOND) * 1000);
+  if (durationMs > maxSeconds * 1000) {
+    return { error: `Clips may be at most ${maxSeconds}s long` };
+  }
+
+  const chunks = [];
+  for (let offset = 0; offset < audio.length; offset += CHUNK_BYTES) {
+    chunks.push(audio.subarray(offset, offset + CHUNK_BYTES).toString('base64'));
+  }
+  return { chunks, durationMs };
+};
+
+// Live call control: the bridge of every active call registers what the API may do with it,
+// so routes addressed by callSid reach that call's Twilio stream and ElevenLabs connection.
+// A call's controls are
+//   sendContextualUpdate(text), sendUserMessage(text) - false while the agent isn't connected
+//   play(chunks, { text, durationMs }) - false before the stream started
+//   end({ goodbye, client }) - false once the call is being transferred or ended
+export const createCallControls = () => {
+  const controls = new Map();
+
+  return {
+    register(callSid, callControls) {
+      controls.set(callSid, callControls);
+    },
+
+    unregister(callSid) {
+      controls.delete(callSid);
+    },
+
+    get(callSid) {
+      return controls.get(callSid) || null;
+    },
+  };
+};
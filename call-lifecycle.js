@@ -0,0 +1,95 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('lifecycle');
+
+// Call lifecycle: the states a call moves through, driven by Twilio status callbacks
+
+export const CALL_STATES = [
+  'queued',
+  'ringing',
+  'in-progress',
+  'completed',
+  'busy',
+  'no-answer',
+  'failed',
+  'canceled',
+];
+
+export const TERMINAL_STATES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Allowed moves from each non-terminal state. Terminal states allow none.
+const TRANSITIONS = {
+  queued: ['ringing', 'in-progress', 'busy', 'no-answer', 'failed', 'canceled', 'completed'],
+  ringing: ['in-progress', 'busy', 'no-answer', 'failed', 'canceled', 'completed'],
+  'in-progress': ['completed', 'failed'],
+};
+
+// Twilio reports 'initiated' as an event of its own; for us the call is still queued
+const TWILIO_STATUS_TO_STATE = {
+  initiated: 'queued',
+  queued: 'queued',
+  ringing: 'ringing',
+  answered: 'in-progress',
+  'in-progress': 'in-progress',
+  completed: 'completed',
+  busy: 'busy',
+  'no-answer': 'no-answer',
+  failed: 'failed',
+  canceled: 'canceled',
+};
+
+export const toCallState = (twilioStatus) => TWILIO_STATUS_TO_STATE[twilioStatus] || null;
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Lifecycle tracker: keeps the current state on the call's session and reports every transition
+export const createCallLifecycle = ({ sessionStore, recordTransition, onTransition }) => ({
+  async transition(callSid, twilioStatus, { timestamp = Date.now(), callDuration, phoneNumber } = {}) {
+    const to = toCallState(twilioStatus);
+    if (!to) {
+      log.info({ callSid }, `Ignoring unknown status ${twilioStatus}`);
+      return null;
+    }
+
+    const session = await sessionStore.get(callSid);
+    const from = session?.state || null;
+
+    if (from === to) {
+      return null;
+    }
+
+    // Callbacks can arrive late or out of order; a state we've already moved past is dropped
+    if (from && !canTransition(from, to)) {
+      log.info({ callSid }, `Ignoring ${from} -> ${to}`);
+      return null;
+    }
+
+    const transition = {
+      from,
+      to,
+      twilioStatus,
+      timestamp,
+      // Time spent in the previous state
+      durationMs: session?.stateChangedAt ? Math.max(0, timestamp - session.stateChangedAt) : null,
+    };
+
+    if (to === 'completed' && callDuration !== undefined) {
+      transition.callDurationSeconds = Number(callDuration);
+    }
+
+    if (session) {
+      await sessionStore.update(callSid, {
+        state: to,
+        stateChangedAt: timestamp,
+        transitions: [...(session.transitions || []), transition],
+      });
+    }
+
+    log.info({ callSid, from: from || null, to }, `${from || 'unknown'} -> ${to}`);
+
+    // Recording is best effort and must not hold up the webhook that reported the status
+    recordTransition(session?.phoneNumber || phoneNumber, callSid, transition, session);
+    onTransition?.(session, callSid, transition);
+    return transition;
+  },
+});
@@ -0,0 +1,111 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('monitor');
+
+// Live call monitoring: keeps the calls the bridge is handling right now and
+// fans their events out to supervisors. Audio is only relayed to listeners of that call.
+// Every event carries the tenant of its call, so supervisors only see their own tenant's calls.
+
+export const createCallMonitor = () => {
+  const activeCalls = new Map();
+  const eventListeners = new Set();
+  const audioListeners = new Map(); // callSid -> Set of listeners
+
+  // Helper function to add the running duration to a call
+  const toSummary = (call) => ({
+    ...call,
+    durationSeconds: Math.round((Date.now() - call.startedAt) / 1000),
+  });
+
+  const publish = (callSid, type, data = {}) => {
+    const event = { type, callSid, tenant: activeCalls.get(callSid)?.tenant ?? null, timestamp: Date.now(), ...data };
+    for (const listener of eventListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.error({ err: error }, 'Event listener failed');
+      }
+    }
+  };
+
+  return {
+    publish,
+
+    register(callSid, { phoneNumber, agentId, direction, state, tenant = null }) {
+      const call = { callSid, phoneNumber, agentId, direction, state, tenant, startedAt: Date.now() };
+      activeCalls.set(callSid, call);
+      publish(callSid, 'call_started', { call: toSummary(call) });
+    },
+
+    // Only calls the bridge is handling are tracked; updates for other calls are ignored
+    update(callSid, fields) {
+      const call = activeCalls.get(callSid);
+      if (!call) {
+        return;
+      }
+
+      Object.assign(call, fields);
+      publish(callSid, 'call_updated', { call: toSummary(call) });
+    },
+
+    unregister(callSid, status) {
+      if (!activeCalls.has(callSid)) {
+        return;
+      }
+
+      publish(callSid, 'call_ended', { status });
+      activeCalls.delete(callSid);
+      for (const listener of audioListeners.get(callSid) || []) {
+        listener(null);
+      }
+      audioListeners.delete(callSid);
+    },
+
+    get(callSid) {
+      const call = activeCalls.get(callSid);
+      return call ? toSummary(call) : null;
+    },
+
+    // Without a tenant, every active call is listed
+    list({ tenant } = {}) {
+      return [...activeCalls.values()].filter((call) => !tenant || call.tenant === tenant).map(toSummary);
+    },
+
+    // Returns a function that stops the subscription
+    subscribe(listener) {
+      eventListeners.add(listener);
+      return () => eventListeners.delete(listener);
+    },
+
+    // Listeners get { track, payload } with base64 8kHz μ-law audio, and null when the call ends
+    listen(callSid, listener) {
+      if (!audioListeners.has(callSid)) {
+        audioListeners.set(callSid, new Set());
+      }
+      audioListeners.get(callSid).add(listener);
+
+      return () => {
+        audioListeners.get(callSid)?.delete(listener);
+        if (audioListeners.get(callSid)?.size === 0) {
+          audioListeners.delete(callSid);
+        }
+      };
+    },
+
+    // track is 'caller' or 'agent'
+    relayAudio(callSid, track, payload) {
+      const listeners = audioListeners.get(callSid);
+      if (!listeners) {
+        return;
+      }
+
+      for (const listener of listeners) {
+        try {
+          listener({ track, payload });
+        } catch (error) {
+          log.error({ err: error }, 'Audio listener failed');
+        }
+      }
+    },
+  };
+};
@@ -0,0 +1,213 @@
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('retries');
+
+// Outcomes a retry policy may ask to retry. 'machine' is a completed call answered by a machine.
+export const RETRYABLE_OUTCOMES = ['busy', 'no-answer', 'failed', 'canceled', 'machine'];
+
+const DEFAULT_RETRY_ON = ['busy', 'no-answer', 'failed'];
+const DEFAULT_BACKOFF_SECONDS = [300];
+const MAX_ATTEMPTS_LIMIT = 10;
+// How long an attempt held back for compliance waits when the block doesn't say when it lifts
+const BLOCKED_RECHECK_MS = 60 * 60 * 1000;
+
+// Helper function to normalize the retry_policy option of an outbound call.
+// { max_attempts: 3, backoff_seconds: [300, 1800], retry_on: ['busy', 'no-answer'] }
+// The last backoff interval is reused when there are more attempts than intervals.
+// Returns { config } or { error }.
+export const parseRetryPolicy = (option) => {
+  if (!option) {
+    return { config: null };
+  }
+  if (typeof option !== 'object') {
+    return { error: 'retry_policy must be an object' };
+  }
+
+  const maxAttempts = Number(option.max_attempts ?? 3);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    return { error: `retry_policy.max_attempts must be between 1 and ${MAX_ATTEMPTS_LIMIT}` };
+  }
+
+  const backoff = option.backoff_seconds ?? DEFAULT_BACKOFF_SECONDS;
+  const backoffSeconds = (Array.isArray(backoff) ? backoff : [backoff]).map(Number);
+  if (backoffSeconds.length === 0 || backoffSeconds.some((value) => !Number.isFinite(value) || value < 0)) {
+    return { error: 'retry_policy.backoff_seconds must be a list of non-negative numbers' };
+  }
+
+  const retryOn = option.retry_on ?? DEFAULT_RETRY_ON;
+  if (!Array.isArray(retryOn) || retryOn.some((outcome) => !RETRYABLE_OUTCOMES.includes(outcome))) {
+    return { error: `retry_policy.retry_on may only contain: ${RETRYABLE_OUTCOMES.join(', ')}` };
+  }
+
+  return { config: { max_attempts: maxAttempts, backoff_seconds: backoffSeconds, retry_on: retryOn } };
+};
+
+// Retry scheduler: redials unanswered or failed calls according to their policy.
+// Every conversation is persisted, so pending attempts survive a restart.
+// getCallStatus and recordAttempt also get the tenant of the original request.
+export const createRetryScheduler = ({
+  placeCall,
+  getCallStatus,
+  recordAttempt,
+  storePath,
+  tickIntervalMs = 5000,
+  staleStatusMs = 5 * 60 * 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+}) => {
+  const conversations = new Map(Object.entries(readJsonFile(storePath, {})));
+  const persist = createPersistQueue(storePath, () => Object.fromEntries(conversations), { log, label: 'retries' });
+  let ticking = false;
+
+  const currentAttempt = (conversation) => conversation.attempts[conversation.attempts.length - 1];
+
+  // Helper function to decide what happens after an attempt ended
+  const settleAttempt = (conversation, outcome) => {
+    const attempt = currentAttempt(conversation);
+    attempt.outcome = outcome;
+    attempt.endedAt = Date.now();
+    recordAttempt(conversation.request.number, conversation.id, attempt, conversation.request.tenant);
+
+    const { max_attempts, backoff_seconds, retry_on } = conversation.policy;
+    if (!retry_on.includes(outcome) || conversation.attempts.length >= max_attempts) {
+      conversation.status = retry_on.includes(outcome) ? 'exhausted' : 'done';
+      conversation.nextAttemptAt = null;
+      log.info({ conversationId: conversation.id }, `${conversation.status} after ${conversation.attempts.length} attempt(s)`);
+      return;
+    }
+
+    const delaySeconds = backoff_seconds[Math.min(conversation.attempts.length - 1, backoff_seconds.length - 1)];
+    conversation.status = 'waiting';
+    conversation.nextAttemptAt = Date.now() + delaySeconds * 1000;
+    log.info({ conversationId: conversation.id }, `${outcome}, next attempt in ${delaySeconds}s`);
+  };
+
+  const dialNextAttempt = async (conversation) => {
+    const attempt = {
+      attempt: conversation.attempts.length + 1,
+      callSid: null,
+      startedAt: Date.now(),
+      outcome: null,
+      endedAt: null,
+    };
+    conversation.attempts.push(attempt);
+    conversation.status = 'in-flight';
+    conversation.nextAttemptAt = null;
+
+    try {
+      const call = await placeCall(conversation.host, conversation.request, {
+        retry: { conversationId: conversation.id, attempt: attempt.attempt },
+      });
+      attempt.callSid = call.sid;
+      recordAttempt(conversation.request.number, conversation.id, attempt, conversation.request.tenant);
+      log.info({ conversationId: conversation.id, callSid: call.sid }, `Attempt ${attempt.attempt} placed`);
+    } catch (error) {
+      // Like a campaign contact, an attempt outside the calling hours or over the attempt cap waits until it
+      // may be dialed and doesn't count against max_attempts. Only a number on the do-not-call list ends it.
+      if (error.compliance && error.compliance.code !== 'DO_NOT_CALL') {
+        conversation.attempts.pop();
+        conversation.status = 'waiting';
+        conversation.nextAttemptAt = Date.parse(error.compliance.details?.retry_after) || Date.now() + BLOCKED_RECHECK_MS;
+        log.info(
+          { conversationId: conversation.id },
+          `Attempt ${attempt.attempt} held back, ${error.compliance.code} until ${new Date(conversation.nextAttemptAt).toISOString()}`
+        );
+        return;
+      }
+
+      log.error({ err: error, conversationId: conversation.id }, `Attempt ${attempt.attempt} failed to dial`);
+      attempt.error = error.message;
+      settleAttempt(conversation, error.compliance ? 'blocked' : 'failed');
+    }
+  };
+
+  const tick = async () => {
+    if (ticking) {
+      return;
+    }
+    ticking = true;
+
+    try {
+      const now = Date.now();
+      let changed = false;
+
+      for (const conversation of conversations.values()) {
+        // Finished conversations are only kept for a while, Firebase has the full history
+        if (['done', 'exhausted'].includes(conversation.status) && now - currentAttempt(conversation).endedAt > retentionMs) {
+          conversations.delete(conversation.id);
+          changed = true;
+          continue;
+        }
+
+        if (conversation.status === 'waiting' && conversation.nextAttemptAt <= now) {
+          await dialNextAttempt(conversation);
+          changed = true;
+          continue;
+        }
+
+        // Fall back to asking Twilio when a status callback never arrived, e.g. while we were down
+        const attempt = currentAttempt(conversation);
+        if (conversation.status === 'in-flight' && attempt.callSid && now - (attempt.checkedAt || attempt.startedAt) > staleStatusMs) {
+          attempt.checkedAt = now;
+          changed = true;
+          try {
+            const callStatus = await getCallStatus(attempt.callSid, conversation.request.tenant);
+            if (RETRYABLE_OUTCOMES.includes(callStatus) || callStatus === 'completed') {
+              settleAttempt(conversation, callStatus);
+            }
+          } catch (error) {
+            log.error({ err: error, callSid: attempt.callSid }, 'Failed to fetch call status');
+          }
+        }
+      }
+
+      if (changed) {
+        await persist();
+      }
+    } catch (error) {
+      log.error({ err: error }, 'Tick failed');
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const timer = setInterval(tick, tickIntervalMs);
+  timer.unref();
+
+  return {
+    // Called for the first attempt, right after the call was placed
+    async register(host, callSid, request, policy) {
+      const attempt = { attempt: 1, callSid, startedAt: Date.now(), outcome: null, endedAt: null };
+      const conversation = {
+        id: callSid,
+        host,
+        request,
+        policy,
+        status: 'in-flight',
+        nextAttemptAt: null,
+        attempts: [attempt],
+        createdAt: Date.now(),
+      };
+
+      conversations.set(callSid, conversation);
+      recordAttempt(request.number, conversation.id, attempt, request.tenant);
+      await persist();
+      return conversation;
+    },
+
+    // Called when an attempt reached a final state
+    async handleOutcome(conversationId, callSid, outcome) {
+      const conversation = conversations.get(conversationId);
+      if (!conversation || conversation.status !== 'in-flight' || currentAttempt(conversation).callSid !== callSid) {
+        return;
+      }
+
+      settleAttempt(conversation, outcome);
+      await persist();
+    },
+
+    get(conversationId) {
+      return conversations.get(conversationId) || null;
+    },
+  };
+};
@@ -0,0 +1,81 @@
+import { escapeXml } from './twiml.js';
+
+// Warm transfer: hand a live call from the agent over to a human
+
+const DEFAULT_ANNOUNCEMENT = 'Please hold while I connect you to a colleague.';
+
+// Helper function to normalize the transfer option of an outbound call, filling in
+// the server-wide defaults. { number: '+1555...' } or { sip: 'sip:desk@example.com' },
+// plus optional phrases, announcement and whisper. Returns { config } or { error }.
+export const parseTransferOptions = (option, defaults = {}) => {
+  if (option !== undefined && (typeof option !== 'object' || option === null)) {
+    return { error: 'transfer must be an object' };
+  }
+
+  // A target given for the call replaces the default one instead of mixing with it
+  const target = option?.number || option?.sip
+    ? { number: option.number, sip: option.sip }
+    : { number: defaults.number, sip: defaults.sip };
+  const settings = { ...defaults, ...(option || {}), ...target };
+  if (settings.number && settings.sip) {
+    return { error: 'transfer takes either a number or a sip address, not both' };
+  }
+  if (settings.sip && !/^sips?:/i.test(settings.sip)) {
+    return { error: 'transfer.sip must start with sip:' };
+  }
+  if (settings.phrases !== undefined && !Array.isArray(settings.phrases)) {
+    return { error: 'transfer.phrases must be a list of strings' };
+  }
+
+  if (!settings.number && !settings.sip) {
+    return { config: null };
+  }
+
+  return {
+    config: {
+      number: settings.number || null,
+      sip: settings.sip || null,
+      phrases: (settings.phrases || []).map((phrase) => String(phrase).toLowerCase().trim()).filter(Boolean),
+      announcement: settings.announcement ?? DEFAULT_ANNOUNCEMENT,
+      whisper: settings.whisper !== false,
+    },
+  };
+};
+
+// Helper function to check a caller's words against the configured transfer phrases
+export const matchesTransferPhrase = (text, phrases = []) => {
+  if (!text) {
+    return false;
+  }
+
+  const normalized = text.toLowerCase();
+  return phrases.some((phrase) => normalized.includes(phrase));
+};
+
+// Helper function to condense the conversation so far for the human taking over
+export const summarizeTranscript = (transcript, maxTurns = 6) => {
+  if (!transcript.length) {
+    return 'No conversation took place before the transfer.';
+  }
+
+  return transcript
+    .slice(-maxTurns)
+    .map(({ role, message }) => `${role === 'agent' ? 'Agent' : 'Caller'}: ${message}`)
+    .join('\n');
+};
+
+// Helper function to build the TwiML that moves the caller to the human.
+// With a whisper URL, the human hears the summary before the two are connected.
+export const buildTransferTwiml = (config, whisperUrl) => {
+  const urlAttribute = whisperUrl ? ` url="${escapeXml(whisperUrl)}"` : '';
+  const target = config.sip
+    ? `<Sip${urlAttribute}>${escapeXml(config.sip)}</Sip>`
+    : `<Number${urlAttribute}>${escapeXml(config.number)}</Number>`;
+  const announcement = config.announcement ? `<Say>${escapeXml(config.announcement)}</Say>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+        ${announcement}
+        <Dial>${target}</Dial>
+    </Response>`;
+};
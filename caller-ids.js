@@ -0,0 +1,238 @@
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('caller-ids');
+
+// Country calling codes of one or two digits, see ITU-T E.164. All others have three.
+const SHORT_CALLING_CODES = new Set([
+  '1', '7', '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66', '81', '82', '84', '86',
+  '90', '91', '92', '93', '94', '95', '98',
+]);
+
+// Helper function to get the country calling code of an E.164 number, e.g. '44' for +442071234567
+export const getCallingCode = (number) => {
+  const digits = String(number).replace(/^\+/, '');
+  return [1, 2].map((length) => digits.slice(0, length)).find((code) => SHORT_CALLING_CODES.has(code)) || digits.slice(0, 3);
+};
+
+// Digits of the area code after the calling code. North American area codes have three; elsewhere
+// lengths vary, and two digits is close enough to tell a local number from one across the country.
+const AREA_CODE_LENGTHS = { 1: 3 };
+const DEFAULT_AREA_CODE_LENGTH = 2;
+
+// How well a caller ID matches the callee, best first
+const MATCH_RANKS = { area: 2, country: 1, any: 0 };
+
+// Helper function to count the leading digits two numbers share, e.g. at least 4 for two numbers in the 415 area code
+const sharedPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) {
+    length += 1;
+  }
+  return length;
+};
+
+// Helper function to get the current day in UTC, the period daily caps apply to
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+// Caller-ID pool: the numbers outbound calls may come from, per tenant, persisted to one JSON file.
+// A call gets the pool number closest to the callee (same area code, then same country), among the
+// numbers still under their daily cap, least used first. Each contact keeps the number it was called
+// from, so a callback reaches the same line. Usage and answer rates are kept per number.
+export const createCallerIdPool = ({ storePath, defaultDailyCap = 0, stickyMs = 30 * 24 * 60 * 60 * 1000 }) => {
+  const state = readJsonFile(storePath, { numbers: {}, usage: {}, stats: {}, sticky: {} });
+  const persist = createPersistQueue(storePath, () => state, { log, label: 'caller IDs' });
+
+  const usedToday = (number, now) => (state.usage[number]?.day === today(now) ? state.usage[number].count : 0);
+
+  const dailyCapOf = (entry) => entry.daily_cap ?? defaultDailyCap;
+
+  const isAvailable = (entry, now) =>
+    entry.enabled && (!dailyCapOf(entry) || usedToday(entry.number, now) < dailyCapOf(entry));
+
+  // Answered calls out of those that reached a final status
+  const summarizeStats = (number) => {
+    const { tenant, ...stats } = state.stats[number] || { calls: 0, answered: 0, unanswered: 0, machine: 0 };
+    const settled = stats.answered + stats.unanswered + stats.machine;
+    return { ...stats, answerRate: settled ? Math.round((stats.answered / settled) * 1000) / 1000 : null };
+  };
+
+  const toSummary = (entry, now = Date.now()) => ({
+    ...entry,
+    callingCode: getCallingCode(entry.number),
+    usage: {
+      day: today(now),
+      calls: usedToday(entry.number, now),
+      dailyCap: dailyCapOf(entry) || null,
+      available: isAvailable(entry, now),
+    },
+    stats: summarizeStats(entry.number),
+  });
+
+  const numbersOf = (tenant) => Object.values(state.numbers).filter((entry) => entry.tenant === tenant);
+
+  const stickyKey = (tenant, callee) => `${tenant}:${callee}`;
+
+  // Helper function to count a call from the number against today's usage. Returns the day it counts for.
+  const takeUse = (number, now) => {
+    state.usage[number] = { day: today(now), count: usedToday(number, now) + 1 };
+    return state.usage[number].day;
+  };
+
+  const pool = {
+    // Returns null when the number is already in the pool
+    async add(number, { tenant, daily_cap, label }) {
+      if (state.numbers[number]) {
+        return null;
+      }
+
+      state.numbers[number] = {
+        number,
+        tenant,
+        label: label || null,
+        daily_cap: daily_cap ?? null,
+        enabled: true,
+        addedAt: Date.now(),
+      };
+      await persist();
+      log.info(`Added ${number} to the caller-ID pool of ${tenant}`);
+      return toSummary(state.numbers[number]);
+    },
+
+    // Returns null for numbers that are not in the pool
+    async update(number, fields) {
+      if (!state.numbers[number]) {
+        return null;
+      }
+
+      state.numbers[number] = { ...state.numbers[number], ...fields };
+      await persist();
+      return toSummary(state.numbers[number]);
+    },
+
+    async remove(number) {
+      if (!state.numbers[number]) {
+        return false;
+      }
+
+      delete state.numbers[number];
+      for (const [key, sticky] of Object.entries(state.sticky)) {
+        if (sticky.number === number) {
+          delete state.sticky[key];
+        }
+      }
+      await persist();
+      log.info(`Removed ${number} from the caller-ID pool`);
+      return true;
+    },
+
+    get(number) {
+      const entry = state.numbers[number];
+      return entry ? toSummary(entry) : null;
+    },
+
+    list({ tenant }) {
+      const now = Date.now();
+      return numbersOf(tenant).map((entry) => toSummary(entry, now));
+    },
+
+    // Stats of every number the tenant called from, including numbers outside the pool
+    stats({ tenant }) {
+      return Object.entries(state.stats)
+        .filter(([, stats]) => stats.tenant === tenant)
+        .map(([number]) => ({ number, ...summarizeStats(number) }));
+    },
+
+    // Picks the caller ID for a call to the callee. Returns { number, match } with match one of
+    // 'sticky', 'area', 'country' or 'any'; null when the tenant has no pool numbers;
+    // or { code, message, details } when every pool number reached its daily cap.
+    select(tenant, callee, now = Date.now()) {
+      const numbers = numbersOf(tenant).filter((entry) => entry.enabled);
+      if (numbers.length === 0) {
+        return null;
+      }
+
+      const available = numbers.filter((entry) => isAvailable(entry, now));
+      if (available.length === 0) {
+        return {
+          code: 'CALLER_IDS_EXHAUSTED',
+          message: 'Every caller ID reached its daily cap',
+          details: { numbers: numbers.length, day: today(now) },
+        };
+      }
+
+      const sticky = state.sticky[stickyKey(tenant, callee)];
+      if (sticky && now - sticky.at < stickyMs && available.some((entry) => entry.number === sticky.number)) {
+        return { number: sticky.number, match: 'sticky' };
+      }
+
+      const calleeDigits = callee.replace(/^\+/, '');
+      const callingCode = getCallingCode(callee);
+      const areaPrefixLength = callingCode.length + (AREA_CODE_LENGTHS[callingCode] || DEFAULT_AREA_CODE_LENGTH);
+      const matchOf = (number) => {
+        if (getCallingCode(number) !== callingCode) {
+          return 'any';
+        }
+        return sharedPrefixLength(number.replace(/^\+/, ''), calleeDigits) >= areaPrefixLength ? 'area' : 'country';
+      };
+
+      const ranked = available
+        .map((entry) => ({ entry, match: matchOf(entry.number) }))
+        // Closest first; between equally close numbers the least used today, then the one used longest ago
+        .sort((a, b) => MATCH_RANKS[b.match] - MATCH_RANKS[a.match]
+          || usedToday(a.entry.number, now) - usedToday(b.entry.number, now)
+          || (state.stats[a.entry.number]?.lastUsedAt || 0) - (state.stats[b.entry.number]?.lastUsedAt || 0));
+
+      const [{ entry: best, match }] = ranked;
+      return { number: best.number, match };
+    },
+
+    // Picks the caller ID like select and counts the call against the number's daily cap right away,
+    // so concurrent calls can't all pass the cap while they are dialed. An explicit from skips the cap.
+    // Hand the result to release when the call couldn't be placed.
+    reserve(tenant, callee, { from, now = Date.now() } = {}) {
+      const selected = from ? { number: from, match: 'explicit' } : pool.select(tenant, callee, now);
+      if (!selected?.number) {
+        return selected;
+      }
+      return { ...selected, day: takeUse(selected.number, now) };
+    },
+
+    // Gives back the use a reservation took, unless the day it counted for is over
+    release({ number, day }) {
+      if (state.usage[number]?.day === day && state.usage[number].count > 0) {
+        state.usage[number].count -= 1;
+      }
+    },
+
+    // Counts a placed call in the number's stats and makes it the contact's number from now on.
+    // The daily usage was already taken by reserve.
+    async recordUse(number, { tenant, callee }) {
+      const now = Date.now();
+      const stats = state.stats[number] || { calls: 0, answered: 0, unanswered: 0, machine: 0 };
+      state.stats[number] = { ...stats, tenant, calls: stats.calls + 1, lastUsedAt: now };
+      state.sticky[stickyKey(tenant, callee)] = { number, at: now };
+
+      // Contacts not called for a while are dropped so the file does not grow forever
+      for (const [key, sticky] of Object.entries(state.sticky)) {
+        if (now - sticky.at >= stickyMs) {
+          delete state.sticky[key];
+        }
+      }
+      await persist();
+    },
+
+    // Counts how a call from the number ended: 'answered', 'machine' or 'unanswered'
+    async recordOutcome(number, outcome) {
+      if (!state.stats[number]) {
+        return;
+      }
+
+      state.stats[number][outcome] = (state.stats[number][outcome] || 0) + 1;
+      await persist();
+    },
+  };
+
+  return pool;
+};
@@ -0,0 +1,435 @@
+import crypto from 'crypto';
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('campaigns');
+
+// Twilio call statuses after which a call no longer counts against the concurrency limit
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Contact statuses while a call is being placed or is still up
+const IN_FLIGHT_STATUSES = ['dialing', 'in-progress'];
+
+// One formatter per timezone, as building them is far slower than formatting a date
+const localTimeFormats = new Map();
+
+// Helper function to get the local time and weekday in a timezone
+const getLocalTime = (date, timeZone) => {
+  if (!localTimeFormats.has(timeZone)) {
+    localTimeFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }));
+  }
+  const parts = localTimeFormats.get(timeZone).formatToParts(date);
+
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'));
+
+  return { minutes: Number(part('hour')) * 60 + Number(part('minute')), weekday };
+};
+
+// Helper function to turn 'HH:MM' into minutes since midnight
+const parseClockTime = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Helper function to check whether a date falls inside a calling window.
+// A window looks like { start: '09:00', end: '18:00', timezone: 'Europe/Berlin', days: [1, 2, 3, 4, 5] }
+// and may wrap past midnight (start later than end).
+export const isWithinCallingWindow = (window, date = new Date(), timezoneOverride) => {
+  if (!window) {
+    return true;
+  }
+
+  const timeZone = timezoneOverride || window.timezone || 'UTC';
+  const { minutes, weekday } = getLocalTime(date, timeZone);
+
+  if (Array.isArray(window.days) && !window.days.includes(weekday)) {
+    return false;
+  }
+
+  const start = parseClockTime(window.start || '00:00');
+  const end = parseClockTime(window.end || '24:00');
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Helper function to find when a calling window next opens: the date itself when it is open,
+// else its start later today, else its start on the next allowed day. Returns null when no day is allowed.
+export const findWindowOpening = (window, date = new Date(), timezoneOverride) => {
+  if (isWithinCallingWindow(window, date, timezoneOverride)) {
+    return date;
+  }
+
+  const timeZone = timezoneOverride || window.timezone || 'UTC';
+  const { minutes, weekday } = getLocalTime(date, timeZone);
+  const start = parseClockTime(window.start || '00:00');
+  const midnight = date.getTime() - (date.getTime() % MINUTE_MS) - minutes * MINUTE_MS;
+
+  for (let offset = minutes < start ? 0 : 1; offset <= 7; offset++) {
+    if (Array.isArray(window.days) && !window.days.includes((weekday + offset) % 7)) {
+      continue;
+    }
+
+    // Correct for a UTC offset change (e.g. daylight saving) between now and then,
+    // unless the clock skips the start that day
+    const opening = midnight + (offset * DAY_MINUTES + start) * MINUTE_MS;
+    const drift = (getLocalTime(new Date(opening), timeZone).minutes - start + DAY_MINUTES * 1.5) % DAY_MINUTES - DAY_MINUTES / 2;
+    const corrected = new Date(opening - drift * MINUTE_MS);
+    return isWithinCallingWindow(window, corrected, timeZone) ? corrected : new Date(opening);
+  }
+  return null;
+};
+
+// Helper function to validate a calling window's timezone before accepting a campaign
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Campaign manager: queues contacts and dispatches them within the concurrency limit.
+// checkContact(contact, campaign) may hold a contact back: a DO_NOT_CALL block fails it, any other
+// block (e.g. outside calling hours, or no caller ID left for today) leaves it pending for a later tick.
+// Call outcomes arrive through handleCallStatus; getCallStatus(callSid, tenant) is only polled
+// for calls whose status callbacks have gone quiet.
+export const createCampaignManager = ({
+  initiateCall,
+  getCallStatus,
+  checkContact = () => null,
+  storePath,
+  tickIntervalMs = 5000,
+  staleStatusMs = 60 * 1000,
+}) => {
+  const campaigns = new Map(Object.entries(readJsonFile(storePath, {})));
+  const persist = createPersistQueue(storePath, () => Object.fromEntries(campaigns), { log, label: 'campaigns' });
+  let ticking = false;
+
+  const getProgress = (campaign) => {
+    const counts = { pending: 0, dialing: 0, 'in-progress': 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const contact of campaign.contacts) {
+      counts[contact.status] = (counts[contact.status] || 0) + 1;
+    }
+
+    return {
+      total: campaign.contacts.length,
+      ...counts,
+      active: counts.dialing + counts['in-progress'],
+    };
+  };
+
+  const summarize = (campaign, { includeContacts = false } = {}) => {
+    const { contacts, ...details } = campaign;
+    return {
+      ...details,
+      progress: getProgress(campaign),
+      ...(includeContacts ? { contacts } : {}),
+    };
+  };
+
+  const isEligible = (campaign, contact, now) => {
+    if (contact.status !== 'pending') {
+      return false;
+    }
+    if (contact.scheduledAt && new Date(contact.scheduledAt).getTime() > now.getTime()) {
+      return false;
+    }
+    return isWithinCallingWindow(campaign.callingWindow, now, contact.timezone);
+  };
+
+  const dispatchContact = async (campaign, contact) => {
+    contact.status = 'dialing';
+    contact.attempts = (contact.attempts || 0) + 1;
+    contact.dispatchedAt = Date.now();
+
+    try {
+      const call = await initiateCall(campaign.host, {
+        number: contact.number,
+        prompt: contact.prompt || campaign.prompt,
+        first_message: contact.first_message || campaign.first_message,
+        elevenlabs_agent_id: contact.elevenlabs_agent_id || campaign.elevenlabs_agent_id,
+        dynamic_variables: contact.dynamic_variables,
+        timezone: contact.timezone,
+        machine_detection: campaign.machine_detection,
+        transfer: campaign.transfer,
+        record: campaign.record,
+        webhook_url: campaign.webhook_url,
+        tenant: campaign.tenant,
+      }, { campaignId: campaign.id });
+
+      contact.callSid = call.sid;
+      log.info({ campaignId: campaign.id, callSid: call.sid }, `Dialing ${contact.number}`);
+    } catch (error) {
+      log.error({ err: error, campaignId: campaign.id }, `Failed to call ${contact.number}`);
+      contact.status = 'failed';
+      contact.outcome = 'error';
+      contact.error = error.message;
+      contact.finishedAt = Date.now();
+    }
+  };
+
+  // Helper function to mark a contact's call as finished once Twilio reports a final status
+  const settleContact = (campaign, contact, callStatus) => {
+    if (!IN_FLIGHT_STATUSES.includes(contact.status)) {
+      return false;
+    }
+
+    contact.statusCheckedAt = Date.now();
+
+    if (callStatus === 'in-progress' && contact.status === 'dialing') {
+      contact.status = 'in-progress';
+      return true;
+    }
+
+    if (!TERMINAL_CALL_STATUSES.includes(callStatus)) {
+      return false;
+    }
+
+    contact.status = callStatus === 'completed' ? 'completed' : 'failed';
+    contact.outcome = callStatus;
+    contact.finishedAt = Date.now();
+    log.info({ campaignId: campaign.id, callSid: contact.callSid }, `Call to ${contact.number} finished with ${callStatus}`);
+    return true;
+  };
+
+  const refreshInFlight = async (campaign) => {
+    let changed = false;
+    const now = Date.now();
+
+    for (const contact of campaign.contacts) {
+      if (!IN_FLIGHT_STATUSES.includes(contact.status) || !contact.callSid) {
+        continue;
+      }
+      if (now - (contact.statusCheckedAt || contact.dispatchedAt) < staleStatusMs) {
+        continue;
+      }
+      contact.statusCheckedAt = now;
+
+      try {
+        const callStatus = await getCallStatus(contact.callSid, campaign.tenant);
+        changed = settleContact(campaign, contact, callStatus) || changed;
+      } catch (error) {
+        log.error({ err: error, callSid: contact.callSid }, 'Failed to fetch call status');
+      }
+    }
+
+    return changed;
+  };
+
+  const processCampaign = async (campaign) => {
+    let changed = await refreshInFlight(campaign);
+
+    if (campaign.status === 'running') {
+      const now = new Date();
+      let active = getProgress(campaign).active;
+
+      for (const contact of campaign.contacts) {
+        if (active >= campaign.maxConcurrentCalls) {
+          break;
+        }
+        if (!isEligible(campaign, contact, now)) {
+          continue;
+        }
+
+        const blocked = checkContact(contact, campaign);
+        if (blocked) {
+          if (blocked.code === 'DO_NOT_CALL') {
+            contact.status = 'failed';
+            contact.outcome = 'blocked';
+            contact.error = blocked.message;
+            contact.finishedAt = Date.now();
+            log.info({ campaignId: campaign.id }, `Skipped ${contact.number}, ${blocked.code}`);
+            changed = true;
+          }
+          continue;
+        }
+
+        await dispatchContact(campaign, contact);
+        if (contact.status === 'dialing') {
+          active += 1;
+        }
+        changed = true;
+      }
+    }
+
+    const progress = getProgress(campaign);
+    if (['running', 'paused'].includes(campaign.status) && progress.pending === 0 && progress.active === 0) {
+      campaign.status = 'completed';
+      campaign.completedAt = Date.now();
+      log.info({ campaignId: campaign.id }, 'Campaign completed');
+      changed = true;
+    }
+
+    if (changed) {
+      campaign.updatedAt = Date.now();
+    }
+    return changed;
+  };
+
+  const tick = async () => {
+    // A slow Twilio API must not stack ticks on top of each other
+    if (ticking) {
+      return;
+    }
+    ticking = true;
+
+    try {
+      let changed = false;
+      for (const campaign of campaigns.values()) {
+        if (campaign.status === 'completed' || (campaign.status === 'cancelled' && getProgress(campaign).active === 0)) {
+          continue;
+        }
+        changed = (await processCampaign(campaign)) || changed;
+      }
+
+      if (changed) {
+        await persist();
+      }
+    } catch (error) {
+      log.error({ err: error }, 'Tick failed');
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const timer = setInterval(tick, tickIntervalMs);
+  timer.unref();
+
+  const setStatus = async (id, allowedFrom, status) => {
+    const campaign = campaigns.get(id);
+    if (!campaign) {
+      return null;
+    }
+    if (!allowedFrom.includes(campaign.status)) {
+      return { error: `Campaign is ${campaign.status}`, campaign: summarize(campaign) };
+    }
+
+    campaign.status = status;
+    campaign.updatedAt = Date.now();
+
+    if (status === 'cancelled') {
+      // Calls already in flight finish normally, nothing new is dialed
+      for (const contact of campaign.contacts) {
+        if (contact.status === 'pending') {
+          contact.status = 'cancelled';
+        }
+      }
+    }
+
+    await persist();
+    log.info({ campaignId: id }, `Campaign is now ${status}`);
+
+    if (status === 'running') {
+      tick();
+    }
+    return { campaign: summarize(campaign) };
+  };
+
+  return {
+    async create(host, {
+      name,
+      contacts,
+      max_concurrent_calls,
+      calling_window,
+      prompt,
+      first_message,
+      elevenlabs_agent_id,
+      machine_detection,
+      transfer,
+      record,
+      webhook_url,
+      tenant,
+    }) {
+      const now = Date.now();
+      const campaign = {
+        id: crypto.randomUUID(),
+        name: name || null,
+        tenant: tenant || null,
+        status: 'running',
+        host,
+        maxConcurrentCalls: Math.max(1, Number(max_concurrent_calls) || 1),
+        callingWindow: calling_window || null,
+        prompt: prompt || null,
+        first_message: first_message || null,
+        elevenlabs_agent_id: elevenlabs_agent_id || null,
+        machine_detection: machine_detection || null,
+        transfer: transfer || null,
+        record: record === true,
+        webhook_url: webhook_url || null,
+        createdAt: now,
+        updatedAt: now,
+        contacts: contacts.map((contact, index) => ({
+          id: index,
+          number: contact.number,
+          dynamic_variables: contact.dynamic_variables || {},
+          prompt: contact.prompt || null,
+          first_message: contact.first_message || null,
+          elevenlabs_agent_id: contact.elevenlabs_agent_id || null,
+          scheduledAt: contact.scheduled_at || null,
+          timezone: contact.timezone || null,
+          status: 'pending',
+          attempts: 0,
+          callSid: null,
+        })),
+      };
+
+      campaigns.set(campaign.id, campaign);
+      await persist();
+      log.info({ campaignId: campaign.id }, `Created campaign with ${campaign.contacts.length} contact(s)`);
+
+      tick();
+      return summarize(campaign);
+    },
+
+    get(id, options) {
+      const campaign = campaigns.get(id);
+      return campaign ? summarize(campaign, options) : null;
+    },
+
+    list() {
+      return [...campaigns.values()].map((campaign) => summarize(campaign));
+    },
+
+    pause(id) {
+      return setStatus(id, ['running'], 'paused');
+    },
+
+    resume(id) {
+      return setStatus(id, ['paused'], 'running');
+    },
+
+    cancel(id) {
+      return setStatus(id, ['running', 'paused'], 'cancelled');
+    },
+
+    // Called from the Twilio status callback for calls placed by a campaign
+    async handleCallStatus(campaignId, callSid, callStatus) {
+      const campaign = campaigns.get(campaignId);
+      const contact = campaign?.contacts.find((c) => c.callSid === callSid);
+      if (!contact || !settleContact(campaign, contact, callStatus)) {
+        return;
+      }
+
+      campaign.updatedAt = Date.now();
+      await persist();
+
+      // A finished call frees a slot, so dial the next contact right away
+      if (TERMINAL_CALL_STATUSES.includes(callStatus)) {
+        tick();
+      }
+    },
+  };
+};
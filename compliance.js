@@ -0,0 +1,305 @@
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { findWindowOpening, isWithinCallingWindow } from './campaigns.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('compliance');
+
+// Compliance for outbound calls: a do-not-call list, allowed calling hours in the callee's
+// timezone and a cap on attempts per number. Each check returns null or { code, message, details }.
+
+export const DEFAULT_OPT_OUT_PHRASES = [
+  'stop calling',
+  'do not call',
+  "don't call",
+  'remove me from your list',
+  'take me off your list',
+  'unsubscribe',
+  'opt out',
+];
+
+// Timezones by country calling code, longest prefix wins. Countries spanning several zones
+// list all of them, and a call must then fall inside the calling hours in every one.
+const TIMEZONES_BY_PREFIX = {
+  1: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+  1808: ['Pacific/Honolulu'],
+  1907: ['America/Anchorage'],
+  27: ['Africa/Johannesburg'],
+  30: ['Europe/Athens'],
+  31: ['Europe/Amsterdam'],
+  32: ['Europe/Brussels'],
+  33: ['Europe/Paris'],
+  34: ['Europe/Madrid'],
+  36: ['Europe/Budapest'],
+  39: ['Europe/Rome'],
+  41: ['Europe/Zurich'],
+  420: ['Europe/Prague'],
+  43: ['Europe/Vienna'],
+  44: ['Europe/London'],
+  45: ['Europe/Copenhagen'],
+  46: ['Europe/Stockholm'],
+  47: ['Europe/Oslo'],
+  48: ['Europe/Warsaw'],
+  49: ['Europe/Berlin'],
+  351: ['Europe/Lisbon'],
+  353: ['Europe/Dublin'],
+  358: ['Europe/Helsinki'],
+  52: ['America/Mexico_City'],
+  55: ['America/Sao_Paulo'],
+  61: ['Australia/Perth', 'Australia/Adelaide', 'Australia/Sydney'],
+  64: ['Pacific/Auckland'],
+  65: ['Asia/Singapore'],
+  81: ['Asia/Tokyo'],
+  82: ['Asia/Seoul'],
+  91: ['Asia/Kolkata'],
+  971: ['Asia/Dubai'],
+  972: ['Asia/Jerusalem'],
+};
+
+// Helper function to bring a number into E.164, e.g. from a CSV export.
+// Spaces, dashes, dots and brackets are dropped and a leading 00 becomes +. Returns null when invalid.
+export const normalizePhoneNumber = (value) => {
+  const number = String(value ?? '').trim().replace(/[\s\-.()]/g, '').replace(/^00/, '+');
+  return /^\+[1-9]\d{1,14}$/.test(number) ? number : null;
+};
+
+// Helper function to guess the timezones a number may be in from its calling code
+export const inferTimezones = (number) => {
+  const digits = String(number).replace(/^\+/, '');
+  for (let length = Math.min(4, digits.length); length > 0; length -= 1) {
+    const timezones = TIMEZONES_BY_PREFIX[digits.slice(0, length)];
+    if (timezones) {
+      return timezones;
+    }
+  }
+  return null;
+};
+
+// Helper function to parse the allowed calling hours, e.g. '08:00-21:00', and optional
+// weekdays, e.g. '1,2,3,4,5' (0 is Sunday). An empty value turns the check off.
+export const parseCallingHours = (hours, days) => {
+  if (!hours) {
+    return { config: null };
+  }
+
+  const match = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/.exec(hours.trim());
+  if (!match) {
+    return { error: `Calling hours must look like 08:00-21:00, got ${hours}` };
+  }
+
+  const weekdays = days ? days.split(',').map((day) => Number(day.trim())) : null;
+  if (weekdays?.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: `Calling days must be weekday numbers from 0 to 6, got ${days}` };
+  }
+
+  return { config: { start: match[1], end: match[2], days: weekdays } };
+};
+
+// Helper function to find when the calling hours next open in all the timezones at once: the latest
+// opening among them, until every timezone is open at it. Returns null when they never overlap.
+const findNextOpening = (callingHours, timezones, date) => {
+  let at = date;
+  for (let round = 0; round < 8; round++) {
+    const openings = timezones.map((zone) => findWindowOpening(callingHours, at, zone));
+    if (openings.includes(null)) {
+      return null;
+    }
+
+    const latest = new Date(Math.max(...openings.map((opening) => opening.getTime())));
+    if (timezones.every((zone) => isWithinCallingWindow(callingHours, latest, zone))) {
+      return latest;
+    }
+    at = latest;
+  }
+  return null;
+};
+
+// Helper function to check a call falls inside the calling hours where the callee is.
+// An explicit timezone wins over the one inferred from the number.
+// withRetryAfter adds when they open again, for callers that hold the call back until then.
+export const checkCallingHours = (number, { callingHours, timezone, defaultTimezone = 'UTC', date = new Date(), withRetryAfter = false }) => {
+  if (!callingHours) {
+    return null;
+  }
+
+  const timezones = timezone ? [timezone] : inferTimezones(number) || [defaultTimezone];
+  const closed = timezones.filter((zone) => !isWithinCallingWindow(callingHours, date, zone));
+  if (closed.length === 0) {
+    return null;
+  }
+
+  const opensAt = withRetryAfter ? findNextOpening(callingHours, timezones, date) : null;
+  return {
+    code: 'OUTSIDE_CALLING_HOURS',
+    message: `Calls to ${number} are only allowed between ${callingHours.start} and ${callingHours.end} local time`,
+    details: {
+      timezones,
+      closed_in: closed,
+      inferred: !timezone,
+      calling_hours: `${callingHours.start}-${callingHours.end}`,
+      ...(callingHours.days ? { calling_days: callingHours.days } : {}),
+      ...(opensAt ? { retry_after: opensAt.toISOString() } : {}),
+    },
+  };
+};
+
+// Helper function to check a caller's words for an opt-out, e.g. "please stop calling me"
+export const matchesOptOutPhrase = (text, phrases = DEFAULT_OPT_OUT_PHRASES) => {
+  if (!text) {
+    return false;
+  }
+
+  const normalized = text.toLowerCase().replace(/[’‘]/g, "'");
+  return phrases.some((phrase) => normalized.includes(phrase));
+};
+
+// Helper function to read a do-not-call CSV: the number in the first column and an optional
+// reason in the second. A header row is skipped. Returns { rows, invalid }.
+export const parseDoNotCallCsv = (text) => {
+  const rows = [];
+  const invalid = [];
+
+  String(text).split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    const [value, ...rest] = line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    if (index === 0 && /[a-z]/i.test(value)) {
+      return;
+    }
+
+    const number = normalizePhoneNumber(value);
+    if (!number) {
+      invalid.push({ line: index + 1, value });
+      return;
+    }
+    rows.push({ number, reason: rest.join(',') || null });
+  });
+
+  return { rows, invalid };
+};
+
+// Do-not-call list, persisted to one JSON file. Each entry keeps where the opt-out came from,
+// so it can be shown when a number's consent is questioned.
+export const createDoNotCallList = ({ storePath }) => {
+  const entries = readJsonFile(storePath, {});
+  const persist = createPersistQueue(storePath, () => entries, { log, label: 'do-not-call list' });
+
+  const createEntry = (number, { reason, source = 'api', callSid } = {}) => ({
+    number,
+    reason: reason || null,
+    source,
+    callSid: callSid || null,
+    addedAt: Date.now(),
+  });
+
+  return {
+    // A number that is already listed keeps its original entry
+    async add(number, options) {
+      if (!entries[number]) {
+        entries[number] = createEntry(number, options);
+        await persist();
+        log.info(`Added ${number} to the do-not-call list (${entries[number].source})`);
+      }
+      return entries[number];
+    },
+
+    async remove(number) {
+      if (!entries[number]) {
+        return false;
+      }
+
+      delete entries[number];
+      await persist();
+      log.info(`Removed ${number} from the do-not-call list`);
+      return true;
+    },
+
+    get(number) {
+      return entries[number] || null;
+    },
+
+    list() {
+      return Object.values(entries).sort((a, b) => b.addedAt - a.addedAt);
+    },
+
+    // Adds parsed CSV rows in one write
+    async import(rows, { source = 'import' } = {}) {
+      let added = 0;
+      for (const { number, reason } of rows) {
+        if (!entries[number]) {
+          entries[number] = createEntry(number, { reason, source });
+          added += 1;
+        }
+      }
+
+      if (added > 0) {
+        await persist();
+      }
+      log.info(`Imported ${added} number(s) to the do-not-call list`);
+      return { added, skipped: rows.length - added };
+    },
+
+    check(number) {
+      const entry = entries[number];
+      if (!entry) {
+        return null;
+      }
+
+      return {
+        code: 'DO_NOT_CALL',
+        message: `${number} is on the do-not-call list`,
+        details: { source: entry.source, reason: entry.reason, added_at: entry.addedAt },
+      };
+    },
+  };
+};
+
+// Attempt tracker: caps how often a number is dialed within a rolling period.
+// Only the timestamps inside the period are kept, persisted so a restart does not reset the cap.
+export const createAttemptTracker = ({ storePath, maxAttempts, periodMs }) => {
+  const attempts = readJsonFile(storePath, {});
+  const persist = createPersistQueue(storePath, () => attempts, { log, label: 'call attempts' });
+
+  const recent = (number, now = Date.now()) => (attempts[number] || []).filter((at) => now - at < periodMs);
+
+  return {
+    async record(number) {
+      const now = Date.now();
+      attempts[number] = [...recent(number, now), now];
+
+      // Numbers without recent attempts are dropped so the file does not grow forever
+      for (const key of Object.keys(attempts)) {
+        if (recent(key, now).length === 0) {
+          delete attempts[key];
+        }
+      }
+      await persist();
+    },
+
+    count(number) {
+      return recent(number).length;
+    },
+
+    check(number) {
+      if (!maxAttempts) {
+        return null;
+      }
+
+      const made = recent(number);
+      if (made.length < maxAttempts) {
+        return null;
+      }
+
+      return {
+        code: 'ATTEMPT_LIMIT_REACHED',
+        message: `${number} was already called ${made.length} time(s) in the last ${Math.round(periodMs / 3600000)} hour(s)`,
+        details: {
+          attempts: made.length,
+          max_attempts: maxAttempts,
+          retry_after: new Date(made[0] + periodMs).toISOString(),
+        },
+      };
+    },
+  };
+};
@@ -0,0 +1,62 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('elevenlabs');
+
+// ElevenLabs API client. The bridge needs a signed URL to open a conversation, and speech
+// for clips played into a live call; tests swap this client for the simulator's fake server.
+export const createElevenLabsClient = ({ apiKey, defaultAgentId, apiUrl = 'https://api.elevenlabs.io' }) => ({
+  // Helper function to get signed URL for authenticated conversations
+  async getSignedUrl(agentIdParam) {
+    try {
+      // Default to the configured agent unless the call resolved its own
+      const agentId = agentIdParam || defaultAgentId;
+      log.info(`Current agent id: ${agentId}`);
+
+      const response = await fetch(
+        `${apiUrl}/v1/convai/conversation/get_signed_url?agent_id=${agentId}`,
+        {
+          method: 'GET',
+          headers: {
+            'xi-api-key': apiKey,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to get signed URL: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.signed_url;
+    } catch (error) {
+      log.error({ err: error }, 'Error getting signed URL');
+      throw error;
+    }
+  },
+
+  // Helper function to speak a text, as base64 8kHz μ-law so it can go straight into a Twilio stream
+  async textToSpeech(text, { voiceId, modelId = 'eleven_flash_v2_5' }) {
+    try {
+      const response = await fetch(
+        `${apiUrl}/v1/text-to-speech/${encodeURIComponent(voiceId)}?output_format=ulaw_8000`,
+        {
+          method: 'POST',
+          headers: {
+            'xi-api-key': apiKey,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ text, model_id: modelId }),
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to synthesize speech: ${response.statusText}`);
+      }
+
+      return Buffer.from(await response.arrayBuffer()).toString('base64');
+    } catch (error) {
+      log.error({ err: error }, 'Error synthesizing speech');
+      throw error;
+    }
+  },
+});
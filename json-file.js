@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+
+// Helper function to read a JSON file, falling back when it is missing or empty
+export const readJsonFile = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  const data = fs.readFileSync(filePath, 'utf8');
+  return data.trim() ? JSON.parse(data) : fallback;
+};
+
+// Helper function to write a JSON file atomically.
+// The data goes to a temporary file first and is renamed over the target,
+// so readers never see a half-written file.
+export const writeJsonFileAtomic = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+};
+
+// Helper function to create the persist function of a file-backed store. Writes are serialized,
+// so concurrent changes can't interleave and lose updates, and each one writes the state as it is
+// by then. Failures are logged; the returned promise always resolves once the write is done,
+// with the error of a failed write or null.
+export const createPersistQueue = (filePath, getState, { log, label }) => {
+  let pendingWrite = Promise.resolve(null);
+
+  return () => {
+    pendingWrite = pendingWrite
+      .then(() => writeJsonFileAtomic(filePath, getState()))
+      .then(() => null, (error) => {
+        log.error({ err: error }, `Failed to persist ${label}`);
+        return error;
+      });
+    return pendingWrite;
+  };
+};
@@ -0,0 +1,24 @@
+import pino from 'pino';
+
+// Helper function to keep the legacy ?token= query parameter out of request logs
+const redactToken = (url) => url.replace(/([?&]token=)[^&]*/g, '$1[redacted]');
+
+// Structured JSON logs, one object per line. Fastify logs requests through the same logger.
+// Every module logs through a child named after it ({ component: 'campaigns' }), and the media
+// bridge adds callSid and streamSid, so all lines of one call can be found together.
+export const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'call-assistant' },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  serializers: {
+    req: (request) => ({
+      method: request.method,
+      url: redactToken(request.url),
+      host: request.host,
+      remoteAddress: request.ip,
+    }),
+  },
+});
+
+// Helper function to get the logger of one part of the server
+export const createLogger = (component, bindings = {}) => logger.child({ component, ...bindings });
@@ -0,0 +1,53 @@
+// Answering machine detection: options for POST /outbound-call and what to do with the result
+
+const ACTIONS = ['hangup', 'voicemail'];
+
+// Helper function to normalize the machine_detection option of an outbound call.
+// Accepts `true` (hang up on machines) or
+// { action: 'hangup' | 'voicemail', voicemail_message, voicemail_url, timeout }.
+// Returns { config } or { error }.
+export const parseMachineDetection = (option) => {
+  if (!option) {
+    return { config: null };
+  }
+
+  const settings = option === true ? {} : option;
+  if (typeof settings !== 'object') {
+    return { error: 'machine_detection must be true or an object' };
+  }
+
+  const action = settings.action || 'hangup';
+  if (!ACTIONS.includes(action)) {
+    return { error: `machine_detection.action must be one of: ${ACTIONS.join(', ')}` };
+  }
+
+  if (action === 'voicemail' && !settings.voicemail_message && !settings.voicemail_url) {
+    return { error: 'machine_detection needs a voicemail_message or voicemail_url to leave a voicemail' };
+  }
+
+  return {
+    config: {
+      action,
+      voicemail_message: settings.voicemail_message || null,
+      voicemail_url: settings.voicemail_url || null,
+      timeout: settings.timeout ? Number(settings.timeout) : null,
+    },
+  };
+};
+
+// Helper function to build the Twilio calls.create options for a detection config
+export const getMachineDetectionCallOptions = (config) => {
+  if (!config) {
+    return {};
+  }
+
+  return {
+    // To leave a voicemail we have to wait for the beep; to hang up, the first guess is enough
+    machineDetection: config.action === 'voicemail' ? 'DetectMessageEnd' : 'Enable',
+    ...(config.timeout ? { machineDetectionTimeout: config.timeout } : {}),
+  };
+};
+
+// Twilio's AnsweredBy values that mean nobody is on the line
+export const isMachine = (answeredBy) =>
+  typeof answeredBy === 'string' && (answeredBy.startsWith('machine_') || answeredBy === 'fax');
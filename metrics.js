@@ -0,0 +1,103 @@
+// Prometheus metrics: counters, gauges and histograms kept in memory and rendered
+// in the text exposition format for GET /metrics. Labels are plain objects.
+
+const DURATION_BUCKETS_SECONDS = [5, 15, 30, 60, 120, 300, 600, 1800];
+const LATENCY_BUCKETS_SECONDS = [0.1, 0.25, 0.5, 1, 2, 5, 10];
+
+// Helper function to escape a label value
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Helper function to render a label set, e.g. {direction="inbound"}
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+// Helper function to keep one series per label set, whatever order the labels were given in
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+export const createMetricsRegistry = ({ prefix = '' } = {}) => {
+  const metrics = [];
+
+  const register = (type, name, help, render) => {
+    metrics.push({ type, name: `${prefix}${name}`, help, render });
+  };
+
+  return {
+    counter(name, help) {
+      const series = new Map();
+      register('counter', name, help, (fullName) =>
+        [...series.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${value}`)
+      );
+
+      return {
+        inc(labels = {}, value = 1) {
+          const key = seriesKey(labels);
+          const current = series.get(key) || { labels, value: 0 };
+          current.value += value;
+          series.set(key, current);
+        },
+      };
+    },
+
+    // A gauge is read when metrics are rendered, so it never drifts from the source of truth
+    gauge(name, help, collect) {
+      register('gauge', name, help, (fullName) => [`${fullName} ${collect()}`]);
+    },
+
+    histogram(name, help, buckets) {
+      const series = new Map();
+      register('histogram', name, help, (fullName) =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bucket, index) => `${fullName}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`),
+          `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${fullName}_sum${formatLabels(labels)} ${sum}`,
+          `${fullName}_count${formatLabels(labels)} ${count}`,
+        ])
+      );
+
+      return {
+        observe(value, labels = {}) {
+          const key = seriesKey(labels);
+          const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          buckets.forEach((bucket, index) => {
+            if (value <= bucket) {
+              current.counts[index] += 1;
+            }
+          });
+          current.sum += value;
+          current.count += 1;
+          series.set(key, current);
+        },
+      };
+    },
+
+    render() {
+      return metrics
+        .map(({ type, name, help, render }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render(name)].join('\n'))
+        .join('\n') + '\n';
+    },
+  };
+};
+
+// The metrics of calls and of the media bridge. getActiveCalls is read on every scrape.
+export const createCallMetrics = ({ getActiveCalls }) => {
+  const registry = createMetricsRegistry({ prefix: 'call_assistant_' });
+
+  return {
+    callsInitiated: registry.counter('calls_initiated_total', 'Calls placed or answered, by direction'),
+    callsInProgress: registry.gauge('calls_in_progress', 'Calls currently bridged to an agent', getActiveCalls),
+    callsEnded: registry.counter('calls_ended_total', 'Finished calls, by outcome'),
+    callDuration: registry.histogram('call_duration_seconds', 'Duration of bridged calls', DURATION_BUCKETS_SECONDS),
+    agentConnectLatency: registry.histogram(
+      'elevenlabs_connect_seconds',
+      'Time from requesting a signed URL to an open ElevenLabs connection',
+      LATENCY_BUCKETS_SECONDS
+    ),
+    agentFailures: registry.counter('elevenlabs_connection_failures_total', 'ElevenLabs connections that failed or dropped during a call'),
+    audioChunks: registry.counter('audio_chunks_relayed_total', 'Audio chunks relayed by the bridge, by direction'),
+    interruptions: registry.counter('interruptions_total', 'Times a caller interrupted the agent'),
+    storageWriteFailures: registry.counter('storage_write_failures_total', 'Failed writes to the storage backend, by backend and operation'),
+    render: () => registry.render(),
+  };
+};
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhooks');
+
+const DEFAULT_RETRY_DELAYS_MS = [5000, 30000, 2 * 60 * 1000, 10 * 60 * 1000];
+
+// Helper function to sign a webhook body. Receivers recompute
+// HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it with the X-Webhook-Signature header.
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Webhook dispatcher: POSTs signed payloads, retries with backoff and keeps
+// deliveries that keep failing in a dead-letter file. A delivery may belong to a tenant,
+// and is then signed with the secret getSecret returns for it.
+export const createWebhookDispatcher = ({
+  secret,
+  getSecret = () => secret,
+  deadLetterPath,
+  retryDelaysMs = DEFAULT_RETRY_DELAYS_MS,
+  timeoutMs = 10000,
+}) => {
+  const deadLetters = readJsonFile(deadLetterPath, []);
+  const persist = createPersistQueue(deadLetterPath, () => deadLetters, { log, label: 'dead letters' });
+
+  const send = async ({ url, payload, tenant }) => {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(getSecret(tenant), timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  };
+
+  const attemptDelivery = async (delivery) => {
+    delivery.attempts += 1;
+
+    try {
+      await send(delivery);
+      log.info({ callSid: delivery.payload.callSid }, `Delivered ${delivery.payload.event} to ${delivery.url}`);
+      return true;
+    } catch (error) {
+      delivery.lastError = error.message;
+      log.warn({ callSid: delivery.payload.callSid, err: error }, `Delivery ${delivery.id} attempt ${delivery.attempts} failed`);
+    }
+
+    const delay = retryDelaysMs[delivery.attempts - 1];
+    if (delay !== undefined) {
+      setTimeout(() => attemptDelivery(delivery), delay).unref();
+      return false;
+    }
+
+    deadLetters.push({ ...delivery, failedAt: Date.now() });
+    await persist();
+    log.error(`Delivery ${delivery.id} moved to the dead-letter store`);
+    return false;
+  };
+
+  return {
+    // Fire and forget: retries happen in the background
+    deliver(url, payload, { tenant = null } = {}) {
+      if (!getSecret(tenant)) {
+        log.error(`${tenant ? `Tenant ${tenant} has no webhook secret` : 'WEBHOOK_SECRET is not set'}, refusing to send an unsigned webhook`);
+        return;
+      }
+
+      attemptDelivery({ id: crypto.randomUUID(), url, payload, tenant, attempts: 0, lastError: null });
+    },
+
+    listDeadLetters() {
+      return deadLetters;
+    },
+
+    // Gives a dead letter one more try; it goes back to the store if that fails too
+    async redeliver(id) {
+      const index = deadLetters.findIndex((delivery) => delivery.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      const [delivery] = deadLetters.splice(index, 1);
+      try {
+        await send(delivery);
+        await persist();
+        log.info(`Redelivered ${id}`);
+        return { delivered: true };
+      } catch (error) {
+        deadLetters.push({ ...delivery, attempts: delivery.attempts + 1, lastError: error.message, failedAt: Date.now() });
+        await persist();
+        return { delivered: false, error: error.message };
+      }
+    },
+  };
+};
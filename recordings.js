@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('recordings');
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+// Helper function to decode one G.711 μ-law byte into a 16-bit PCM sample
+const decodeMulaw = (byte) => {
+  const value = ~byte & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const sample = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -sample : sample;
+};
+
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeMulaw(byte));
+
+// Helper function to build a 16-bit PCM WAV file from interleaved samples
+const buildWav = (samples, channels) => {
+  const dataSize = samples.length * 2;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * channels * 2, 28); // byte rate
+  header.writeUInt16LE(channels * 2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)]);
+};
+
+// Call recorder: collects both directions of a call as 8kHz μ-law and mixes them into
+// a stereo WAV, caller on the left channel and agent on the right.
+// Caller audio is placed by Twilio's media timestamps. Agent audio arrives faster than
+// it is played, so it is queued behind the agent audio before it, like Twilio does.
+export const createCallRecorder = ({ startedAt = Date.now() } = {}) => {
+  const callerChunks = [];
+  let agentChunks = [];
+  let agentCursor = 0; // Sample where the next agent chunk starts playing
+
+  const nowInSamples = () => Math.round((Date.now() - startedAt) * SAMPLES_PER_MS);
+
+  return {
+    // payload is base64 μ-law, timestamp the media event's milliseconds since the stream started
+    addCallerAudio(payload, timestamp) {
+      const offset = timestamp !== undefined ? Math.round(Number(timestamp) * SAMPLES_PER_MS) : nowInSamples();
+      callerChunks.push({ offset, audio: Buffer.from(payload, 'base64') });
+    },
+
+    addAgentAudio(payload) {
+      const audio = Buffer.from(payload, 'base64');
+      const offset = Math.max(agentCursor, nowInSamples());
+      agentChunks.push({ offset, audio });
+      agentCursor = offset + audio.length;
+    },
+
+    // On an interruption Twilio drops the agent audio it hasn't played yet, so do we
+    clearAgentAudio() {
+      const now = nowInSamples();
+      agentChunks = agentChunks
+        .filter((chunk) => chunk.offset < now)
+        .map((chunk) => (chunk.offset + chunk.audio.length > now
+          ? { offset: chunk.offset, audio: chunk.audio.subarray(0, now - chunk.offset) }
+          : chunk));
+      agentCursor = Math.min(agentCursor, now);
+    },
+
+    get isEmpty() {
+      return callerChunks.length === 0 && agentChunks.length === 0;
+    },
+
+    toWav() {
+      const end = (chunks) => chunks.reduce((max, chunk) => Math.max(max, chunk.offset + chunk.audio.length), 0);
+      const length = Math.max(end(callerChunks), end(agentChunks));
+      const samples = new Int16Array(length * 2);
+
+      const mix = (chunks, channel) => {
+        for (const { offset, audio } of chunks) {
+          for (let i = 0; i < audio.length; i++) {
+            samples[(offset + i) * 2 + channel] = MULAW_TABLE[audio[i]];
+          }
+        }
+      };
+      mix(callerChunks, 0);
+      mix(agentChunks, 1);
+
+      return {
+        wav: buildWav(samples, 2),
+        durationSeconds: Math.round((length / SAMPLE_RATE) * 10) / 10,
+      };
+    },
+  };
+};
+
+// Helper function to check a callSid before it is used as a file name
+export const isValidRecordingId = (callSid) => typeof callSid === 'string' && /^[A-Za-z0-9]+$/.test(callSid);
+
+// Recording store: one WAV file per callSid in a directory, deleted after the retention period
+export const createRecordingStore = ({ dir, retentionMs, sweepIntervalMs = 60 * 60 * 1000 }) => {
+  const filePath = (callSid) => path.join(dir, `${callSid}.wav`);
+
+  const store = {
+    async save(callSid, wav) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // Written under a temporary name first, so a download never gets a partial file
+      const tempPath = `${filePath(callSid)}.tmp`;
+      await fs.promises.writeFile(tempPath, wav);
+      await fs.promises.rename(tempPath, filePath(callSid));
+
+      log.info({ callSid }, 'Saved recording');
+      return filePath(callSid);
+    },
+
+    async list() {
+      if (!fs.existsSync(dir)) {
+        return [];
+      }
+
+      const files = (await fs.promises.readdir(dir)).filter((file) => file.endsWith('.wav'));
+      const recordings = await Promise.all(files.map(async (file) => {
+        const stats = await fs.promises.stat(path.join(dir, file));
+        return {
+          callSid: path.basename(file, '.wav'),
+          size: stats.size,
+          createdAt: stats.mtime.toISOString(),
+        };
+      }));
+
+      return recordings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // Returns the file path, or null when there is no recording for the call
+    find(callSid) {
+      if (!isValidRecordingId(callSid) || !fs.existsSync(filePath(callSid))) {
+        return null;
+      }
+      return filePath(callSid);
+    },
+
+    async sweep() {
+      const cutoff = Date.now() - retentionMs;
+      let removed = 0;
+
+      for (const recording of await store.list()) {
+        if (new Date(recording.createdAt).getTime() < cutoff) {
+          await fs.promises.unlink(filePath(recording.callSid));
+          removed += 1;
+        }
+      }
+
+      if (removed > 0) {
+        log.info(`Removed ${removed} recording(s) past the retention period`);
+      }
+    },
+  };
+
+  store.sweep().catch((error) => log.error({ err: error }, 'Sweep failed'));
+  const sweepTimer = setInterval(() => {
+    store.sweep().catch((error) => log.error({ err: error }, 'Sweep failed'));
+  }, sweepIntervalMs);
+  sweepTimer.unref();
+
+  return store;
+};
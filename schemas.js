@@ -0,0 +1,387 @@
+import { API_KEY_SCOPES } from './api-keys.js';
+import { TRANSCRIPT_FORMATS } from './transcripts.js';
+import { TENANT_ID_PATTERN } from './tenants.js';
+
+// JSON schemas for the API routes, checked by Fastify before a handler runs.
+// Bodies may carry fields that are not listed (e.g. the legacy token), but listed fields must be valid.
+
+// E.164: a + followed by up to 15 digits, no spaces or punctuation
+export const E164_PATTERN = '^\\+[1-9]\\d{1,14}$';
+
+const phoneNumber = { type: 'string', pattern: E164_PATTERN };
+const callSid = { type: 'string', pattern: '^CA[0-9a-fA-F]{32}$' };
+const httpUrl = { type: 'string', format: 'uri', pattern: '^https?://' };
+const text = { type: 'string', maxLength: 20000 };
+const id = { type: 'string', minLength: 1, maxLength: 100 };
+
+// Dynamic variables end up in the agent's prompt: flat key/value pairs with scalar values only
+export const dynamicVariables = {
+  type: 'object',
+  maxProperties: 100,
+  propertyNames: { pattern: '^[A-Za-z_][\\w.-]{0,63}$' },
+  additionalProperties: { type: ['string', 'number', 'boolean'], maxLength: 2000 },
+};
+
+const machineDetection = {
+  type: ['boolean', 'object'],
+  properties: {
+    action: { type: 'string' },
+    voicemail_message: text,
+    voicemail_url: httpUrl,
+  },
+};
+
+const retryPolicy = {
+  type: 'object',
+  properties: {
+    max_attempts: { type: 'integer', minimum: 1 },
+    backoff_seconds: { type: 'array', items: { type: 'number', minimum: 0 } },
+  },
+};
+
+const transfer = {
+  type: 'object',
+  properties: {
+    number: phoneNumber,
+    sip: { type: 'string' },
+    phrases: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+// Agent fields shared by calls, campaigns and their contacts
+const agentFields = {
+  prompt: text,
+  first_message: text,
+  elevenlabs_agent_id: id,
+  dynamic_variables: dynamicVariables,
+  template: { type: 'string' },
+  template_version: { type: 'integer', minimum: 1 },
+};
+
+// Call options shared by single calls and campaigns
+const callOptions = {
+  machine_detection: machineDetection,
+  transfer,
+  record: { type: 'boolean' },
+  webhook_url: httpUrl,
+};
+
+const callSidParams = {
+  type: 'object',
+  required: ['callSid'],
+  properties: { callSid },
+};
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id },
+};
+
+const templateFields = {
+  elevenlabs_agent_id: id,
+  prompt: text,
+  first_message: text,
+  required_variables: {
+    type: 'array',
+    items: { type: 'string', pattern: '^[A-Za-z_][\\w.-]{0,63}$' },
+    uniqueItems: true,
+  },
+};
+
+export const outboundCallSchema = {
+  body: {
+    type: 'object',
+    required: ['number'],
+    properties: {
+      number: phoneNumber,
+      // Overrides the caller ID picked from the pool; must be one of the tenant's numbers
+      from: phoneNumber,
+      timezone: { type: 'string' },
+      ...agentFields,
+      ...callOptions,
+      retry_policy: retryPolicy,
+    },
+  },
+};
+
+export const campaignSchema = {
+  body: {
+    type: 'object',
+    required: ['contacts'],
+    properties: {
+      name: { type: 'string', maxLength: 200 },
+      max_concurrent_calls: { type: 'integer', minimum: 1, maximum: 100 },
+      calling_window: {
+        type: 'object',
+        properties: {
+          start: { type: 'string', pattern: '^\\d{2}:\\d{2}$' },
+          end: { type: 'string', pattern: '^\\d{2}:\\d{2}$' },
+          timezone: { type: 'string' },
+          days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+        },
+      },
+      contacts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10000,
+        items: {
+          type: 'object',
+          required: ['number'],
+          properties: {
+            number: phoneNumber,
+            timezone: { type: 'string' },
+            scheduled_at: { type: ['string', 'number'] },
+            ...agentFields,
+          },
+        },
+      },
+      ...agentFields,
+      ...callOptions,
+    },
+  },
+};
+
+export const campaignSchemas = {
+  get: {
+    params: idParams,
+    querystring: {
+      type: 'object',
+      properties: { contacts: { type: 'boolean' } },
+    },
+  },
+  action: { params: idParams },
+};
+
+export const callSchemas = {
+  search: {
+    querystring: {
+      type: 'object',
+      properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        status: { type: 'string' },
+        phoneNumber,
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      },
+    },
+  },
+  byPhoneNumber: {
+    params: {
+      type: 'object',
+      required: ['phoneNumber'],
+      properties: { phoneNumber },
+    },
+  },
+  get: { params: callSidParams },
+  transcript: {
+    params: callSidParams,
+    querystring: {
+      type: 'object',
+      properties: { format: { type: 'string', enum: TRANSCRIPT_FORMATS, default: 'json' } },
+    },
+  },
+  hangup: { params: callSidParams },
+  analyze: { params: callSidParams },
+  message: {
+    params: callSidParams,
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: { text: { type: 'string', minLength: 1, maxLength: 5000 } },
+    },
+  },
+  play: {
+    params: callSidParams,
+    body: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', minLength: 1, maxLength: 1000 },
+        voice_id: id,
+        // base64 8kHz μ-law, at most a minute of it
+        audio: { type: 'string', maxLength: 640000, pattern: '^[A-Za-z0-9+/]*={0,2}$' },
+      },
+    },
+  },
+  end: {
+    params: callSidParams,
+    // The goodbye is optional, and so is the body
+    body: {
+      type: ['object', 'null'],
+      properties: { goodbye: { type: 'string', minLength: 1, maxLength: 1000 } },
+    },
+  },
+};
+
+// Twilio posts form-encoded webhooks; only the fields we rely on are checked
+export const callStatusSchema = {
+  body: {
+    type: 'object',
+    required: ['CallSid', 'CallStatus'],
+    properties: {
+      CallSid: callSid,
+      CallStatus: { type: 'string' },
+      CallDuration: { type: 'string' },
+      Timestamp: { type: 'string' },
+      To: { type: 'string' },
+    },
+  },
+};
+
+export const recordingSchemas = {
+  get: { params: callSidParams },
+};
+
+export const webhookSchemas = {
+  redeliver: { params: idParams },
+};
+
+export const apiKeySchemas = {
+  create: {
+    body: {
+      type: 'object',
+      required: ['client', 'scopes'],
+      properties: {
+        client: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: API_KEY_SCOPES } },
+        tenant: { type: 'string', pattern: TENANT_ID_PATTERN },
+      },
+    },
+  },
+  revoke: { params: idParams },
+};
+
+const tenantIdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', pattern: TENANT_ID_PATTERN } },
+};
+
+const secret = { type: 'string', minLength: 1, maxLength: 500 };
+
+const tenantFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  twilio_account_sid: { type: 'string', pattern: '^AC[0-9a-fA-F]{32}$' },
+  twilio_auth_token: secret,
+  phone_numbers: { type: 'array', uniqueItems: true, maxItems: 1000, items: phoneNumber },
+  elevenlabs_api_key: secret,
+  elevenlabs_agent_id: id,
+  storage_namespace: { type: 'string', pattern: TENANT_ID_PATTERN },
+  webhook_url: httpUrl,
+  webhook_secret: secret,
+};
+
+export const tenantSchemas = {
+  create: {
+    body: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: tenantIdParams.properties.id,
+        ...tenantFields,
+      },
+    },
+  },
+  get: { params: tenantIdParams },
+  update: {
+    params: tenantIdParams,
+    body: { type: 'object', properties: tenantFields },
+  },
+  delete: { params: tenantIdParams },
+};
+
+const templateNameParams = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$' } },
+};
+
+export const templateSchemas = {
+  create: {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: templateNameParams.properties.name,
+        ...templateFields,
+      },
+    },
+  },
+  get: {
+    params: templateNameParams,
+    querystring: {
+      type: 'object',
+      properties: { version: { type: 'integer', minimum: 1 } },
+    },
+  },
+  update: {
+    params: templateNameParams,
+    body: { type: 'object', properties: templateFields },
+  },
+  delete: { params: templateNameParams },
+};
+
+export const monitorSchemas = {
+  audio: { params: callSidParams },
+};
+
+const phoneNumberParams = {
+  type: 'object',
+  required: ['number'],
+  properties: { number: phoneNumber },
+};
+
+export const doNotCallSchemas = {
+  add: {
+    body: {
+      type: 'object',
+      required: ['number'],
+      properties: {
+        number: phoneNumber,
+        reason: { type: 'string', maxLength: 500 },
+      },
+    },
+  },
+  // Either a text/csv body or JSON with the CSV in a csv field
+  import: {
+    body: {
+      type: ['string', 'object'],
+      properties: { csv: { type: 'string' } },
+    },
+  },
+  number: { params: phoneNumberParams },
+  check: {
+    querystring: {
+      type: 'object',
+      required: ['number'],
+      properties: {
+        number: phoneNumber,
+        timezone: { type: 'string' },
+      },
+    },
+  },
+};
+
+const callerIdFields = {
+  label: { type: 'string', maxLength: 100 },
+  // null falls back to CALLER_ID_DAILY_CAP, 0 means no cap
+  daily_cap: { type: ['integer', 'null'], minimum: 0 },
+};
+
+export const callerIdSchemas = {
+  add: {
+    body: {
+      type: 'object',
+      required: ['number'],
+      properties: { number: phoneNumber, ...callerIdFields },
+    },
+  },
+  number: { params: phoneNumberParams },
+  update: {
+    params: phoneNumberParams,
+    body: {
+      type: 'object',
+      properties: { ...callerIdFields, enabled: { type: 'boolean' } },
+    },
+  },
+};
@@ -0,0 +1,148 @@
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+const log = createLogger('sessions');
+
+// In-memory backend: sessions are lost on restart
+export const createMemoryBackend = () => {
+  const sessions = new Map();
+
+  return {
+    async get(callSid) {
+      return sessions.get(callSid) || null;
+    },
+    async set(callSid, session) {
+      sessions.set(callSid, session);
+    },
+    async delete(callSid) {
+      sessions.delete(callSid);
+    },
+    async list() {
+      return [...sessions.values()];
+    },
+  };
+};
+
+// File backend: keeps sessions in memory and persists every change to one JSON file.
+// Writes are serialized, so concurrent requests can't interleave and lose updates.
+export const createFileBackend = (filePath) => {
+  const sessions = new Map(Object.entries(readJsonFile(filePath, {})));
+  const persist = createPersistQueue(filePath, () => Object.fromEntries(sessions), { log, label: 'sessions' });
+
+  return {
+    async get(callSid) {
+      return sessions.get(callSid) || null;
+    },
+    async set(callSid, session) {
+      sessions.set(callSid, session);
+      await persist();
+    },
+    async delete(callSid) {
+      if (sessions.delete(callSid)) {
+        await persist();
+      }
+    },
+    async list() {
+      return [...sessions.values()];
+    },
+  };
+};
+
+// Session store: one record per call, keyed by the Twilio callSid
+export const createSessionStore = ({ backend, ttlMs, maxAgeMs, sweepIntervalMs = 60 * 1000 }) => {
+  const isExpired = (session, now) => {
+    if (session.endedAt) {
+      return now - session.endedAt > ttlMs;
+    }
+    // Calls that never reached the media stream are never ended, so cap their lifetime too
+    return now - session.createdAt > maxAgeMs;
+  };
+
+  const store = {
+    async create(callSid, data) {
+      const now = Date.now();
+      const session = {
+        ...data,
+        callSid,
+        status: 'active',
+        createdAt: now,
+        updatedAt: now,
+        endedAt: null,
+      };
+
+      await backend.set(callSid, session);
+      log.info({ callSid }, 'Created session');
+      return session;
+    },
+
+    async get(callSid) {
+      if (!callSid) {
+        return null;
+      }
+
+      const session = await backend.get(callSid);
+      if (!session || isExpired(session, Date.now())) {
+        return null;
+      }
+      return session;
+    },
+
+    async update(callSid, changes) {
+      const session = await backend.get(callSid);
+      if (!session) {
+        return null;
+      }
+
+      const updated = { ...session, ...changes, updatedAt: Date.now() };
+      await backend.set(callSid, updated);
+      return updated;
+    },
+
+    async end(callSid) {
+      const session = await backend.get(callSid);
+      if (!session || session.endedAt) {
+        return session;
+      }
+
+      log.info({ callSid }, 'Ended session');
+      return store.update(callSid, { status: 'ended', endedAt: Date.now() });
+    },
+
+    // Most recent unexpired session of a tenant for a phone number, used to route callbacks.
+    // Sessions stored before tenants existed belong to the default tenant.
+    async findLatestByPhone(phoneNumber, tenantId = DEFAULT_TENANT_ID) {
+      if (!phoneNumber) {
+        return null;
+      }
+
+      const now = Date.now();
+      const sessions = await backend.list();
+      return sessions
+        .filter((session) => session.phoneNumber === phoneNumber && (session.tenantId || DEFAULT_TENANT_ID) === tenantId)
+        .filter((session) => !isExpired(session, now))
+        .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+    },
+
+    async sweep() {
+      const now = Date.now();
+      const sessions = await backend.list();
+      const expired = sessions.filter((session) => isExpired(session, now));
+
+      for (const session of expired) {
+        await backend.delete(session.callSid);
+      }
+
+      if (expired.length > 0) {
+        log.info(`Removed ${expired.length} expired session(s)`);
+      }
+    },
+  };
+
+  const sweepTimer = setInterval(() => {
+    store.sweep().catch((error) => log.error({ err: error }, 'Sweep failed'));
+  }, sweepIntervalMs);
+  sweepTimer.unref();
+
+  return store;
+};
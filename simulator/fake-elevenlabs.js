@@ -0,0 +1,156 @@
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import { createMessageLog } from './message-log.js';
+import { SILENCE_CHUNK } from './media-stream.js';
+
+// Helper function to wrap one agent connection with methods speaking the ElevenLabs protocol
+const createConversation = (ws, { index, agentId }) => {
+  const received = createMessageLog();
+  const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+  let nextEventId = 1;
+
+  const send = (message) => ws.send(JSON.stringify(message));
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data);
+    received.push(message);
+
+    // ElevenLabs confirms the conversation once the client sent its config
+    if (message.type === 'conversation_initiation_client_data') {
+      send({
+        type: 'conversation_initiation_metadata',
+        conversation_initiation_metadata_event: {
+          conversation_id: `conv_sim_${index}`,
+          agent_output_audio_format: 'ulaw_8000',
+          user_input_audio_format: 'ulaw_8000',
+        },
+      });
+    }
+  });
+
+  return {
+    index,
+    agentId,
+    closed,
+    messages: received.messages,
+    waitFor: received.waitFor,
+
+    // The config the bridge opened the conversation with
+    initiation: () =>
+      received.waitFor((message) => message.type === 'conversation_initiation_client_data', {
+        description: 'conversation_initiation_client_data',
+      }),
+
+    // Caller audio relayed by the bridge, as base64 payloads
+    get userAudio() {
+      return received.messages.filter((message) => message.user_audio_chunk).map((message) => message.user_audio_chunk);
+    },
+
+    sendAudio(chunk = SILENCE_CHUNK) {
+      send({ type: 'audio', audio_event: { audio_base_64: chunk, event_id: nextEventId++ } });
+    },
+
+    agentResponse(text) {
+      send({ type: 'agent_response', agent_response_event: { agent_response: text } });
+    },
+
+    userTranscript(text) {
+      send({ type: 'user_transcript', user_transcription_event: { user_transcript: text } });
+    },
+
+    interrupt() {
+      send({ type: 'interruption', interruption_event: { event_id: nextEventId++ } });
+    },
+
+    // Resolves with the bridge's pong
+    ping() {
+      const eventId = nextEventId++;
+      send({ type: 'ping', ping_event: { event_id: eventId, ping_ms: 0 } });
+      return received.waitFor((message) => message.type === 'pong' && message.event_id === eventId, {
+        description: `pong ${eventId}`,
+      });
+    },
+
+    // Resolves with the bridge's client_tool_result
+    toolCall(toolName, parameters = {}) {
+      const toolCallId = `tool_sim_${nextEventId++}`;
+      send({ type: 'client_tool_call', client_tool_call: { tool_name: toolName, tool_call_id: toolCallId, parameters } });
+      return received.waitFor((message) => message.type === 'client_tool_result' && message.tool_call_id === toolCallId, {
+        description: `result of ${toolName}`,
+      });
+    },
+
+    // The agent ended the conversation (1000), or the connection failed with another code
+    disconnect(code = 1000) {
+      ws.close(code);
+      return closed;
+    },
+
+    // The connection dropped without a close frame
+    drop() {
+      ws.terminate();
+      return closed;
+    },
+  };
+};
+
+// Fake ElevenLabs: a local WebSocket server speaking the Conversational AI protocol.
+// It also implements getSignedUrl, so it can be passed to buildApp as the ElevenLabs client.
+export const createFakeElevenLabsServer = async () => {
+  const wss = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await once(wss, 'listening');
+
+  const url = `ws://127.0.0.1:${wss.address().port}`;
+  const conversations = createMessageLog();
+  const signedUrlRequests = [];
+  const speechRequests = [];
+  let nextSignedUrlError = null;
+
+  wss.on('connection', (ws, request) => {
+    const agentId = new URL(request.url, url).searchParams.get('agent_id');
+    conversations.push(createConversation(ws, { index: conversations.messages.length, agentId }));
+  });
+
+  return {
+    url,
+    conversations: conversations.messages,
+    signedUrlRequests,
+    speechRequests,
+
+    async getSignedUrl(agentId) {
+      signedUrlRequests.push(agentId || null);
+      if (nextSignedUrlError) {
+        const error = nextSignedUrlError;
+        nextSignedUrlError = null;
+        throw error;
+      }
+      return `${url}/v1/convai/conversation?agent_id=${encodeURIComponent(agentId || 'sim-agent')}`;
+    },
+
+    // 20ms of μ-law per 10 characters, so tests can tell how long the speech is
+    async textToSpeech(text, { voiceId }) {
+      speechRequests.push({ text, voiceId });
+      return Buffer.alloc(160 * Math.max(1, Math.ceil(text.length / 10)), 0x7f).toString('base64');
+    },
+
+    // The next signed URL request fails, like an unreachable API or a bad key
+    failNextSignedUrl(message = 'Failed to get signed URL: Unauthorized') {
+      nextSignedUrlError = new Error(message);
+    },
+
+    // Resolves with the conversation opened as the index-th one (0 is the first)
+    waitForConversation(index = 0, options) {
+      return conversations.waitFor((conversation) => conversation.index === index, {
+        description: `ElevenLabs conversation ${index}`,
+        ...options,
+      });
+    },
+
+    async close() {
+      for (const client of wss.clients) {
+        client.terminate();
+      }
+      await new Promise((resolve) => wss.close(resolve));
+    },
+  };
+};
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import Twilio from 'twilio';
+
+// Helper function to make a Twilio-style SID, e.g. CA followed by 32 hex digits
+export const createSid = (prefix) => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+
+// Helper function to build an error shaped like the ones the Twilio REST client throws
+const createRestError = (status, code, message) =>
+  Object.assign(new Error(message), {
+    status,
+    code,
+    moreInfo: `https://www.twilio.com/docs/errors/${code}`,
+  });
+
+// Stands in for the Twilio REST client: calls are recorded, nothing is dialed. Twilio's side of
+// a call (webhooks and the media stream) is driven by the test, see connectMediaStream.
+export const createFakeTwilioClient = () => {
+  const created = [];
+  const updates = [];
+  const statuses = new Map();
+  // Numbers bought on the account and verified caller IDs, see addPhoneNumber
+  const phoneNumbers = new Set();
+  const verifiedCallerIds = new Set();
+  let nextError = null;
+
+  // Helper function to answer a list request filtered by phoneNumber, like the REST API does
+  const listNumbers = (numbers) => ({
+    async list({ phoneNumber } = {}) {
+      return [...numbers].filter((number) => !phoneNumber || number === phoneNumber).map((number) => ({ phoneNumber: number }));
+    },
+  });
+
+  const calls = (sid) => ({
+    async fetch() {
+      if (!statuses.has(sid)) {
+        throw createRestError(404, 20404, `The requested resource /Calls/${sid}.json was not found`);
+      }
+      return { sid, status: statuses.get(sid) };
+    },
+
+    async update(params) {
+      if (!statuses.has(sid)) {
+        throw createRestError(404, 20404, `The requested resource /Calls/${sid}.json was not found`);
+      }
+
+      updates.push({ sid, ...params });
+      if (params.status) {
+        statuses.set(sid, params.status);
+      }
+      return { sid, status: statuses.get(sid) };
+    },
+  });
+
+  calls.create = async (params) => {
+    if (nextError) {
+      const error = nextError;
+      nextError = null;
+      throw error;
+    }
+
+    const sid = createSid('CA');
+    created.push({ sid, ...params });
+    statuses.set(sid, 'queued');
+    return { sid, status: 'queued', to: params.to, from: params.from };
+  };
+
+  return {
+    calls,
+    incomingPhoneNumbers: listNumbers(phoneNumbers),
+    outgoingCallerIds: listNumbers(verifiedCallerIds),
+    created,
+    updates,
+
+    // Adds a number to the account, or with { verified: true } a verified caller ID of another line
+    addPhoneNumber(number, { verified = false } = {}) {
+      (verified ? verifiedCallerIds : phoneNumbers).add(number);
+    },
+
+    setStatus(sid, status) {
+      statuses.set(sid, status);
+    },
+
+    // The next calls.create fails like the REST API would, e.g. failNextCall(400, 21211, 'Invalid To number')
+    failNextCall(status, code, message) {
+      nextError = createRestError(status, code, message);
+    },
+  };
+};
+
+// Helper function to sign a webhook request the way Twilio does, for the X-Twilio-Signature header.
+// The url must be the one the server sees: https://<host><path and query>.
+export const signTwilioRequest = (authToken, url, params = {}) =>
+  Twilio.getExpectedTwilioSignature(authToken, url, params);
+
+// Helper function to read the <Stream> url and its <Parameter>s out of the bridge's TwiML
+export const parseStreamTwiml = (twiml) => {
+  const unescape = (value) =>
+    value
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+
+  const stream = /<Stream url="([^"]*)"/.exec(twiml);
+  if (!stream) {
+    return null;
+  }
+
+  const parameters = {};
+  for (const [, name, value] of twiml.matchAll(/<Parameter name="([^"]*)" value="([^"]*)" \/>/g)) {
+    parameters[unescape(name)] = unescape(value);
+  }
+
+  return { url: unescape(stream[1]), parameters };
+};
@@ -0,0 +1,6 @@
+// Offline stand-ins for Twilio and ElevenLabs, to run the whole bridge without either.
+// Pass the fake clients to buildApp and drive calls with connectMediaStream.
+export { createSid, createFakeTwilioClient, signTwilioRequest, parseStreamTwiml } from './fake-twilio.js';
+export { SILENCE_CHUNK, connectMediaStream } from './media-stream.js';
+export { createFakeElevenLabsServer } from './fake-elevenlabs.js';
+export { createMessageLog } from './message-log.js';
@@ -0,0 +1,82 @@
+import { once } from 'events';
+import WebSocket from 'ws';
+import { createMessageLog } from './message-log.js';
+import { createSid } from './fake-twilio.js';
+
+// 20 ms of μ-law silence at 8 kHz, the size of a chunk Twilio sends
+export const SILENCE_CHUNK = Buffer.alloc(160, 0xff).toString('base64');
+
+// Fake Twilio media stream: connects to the bridge the way Twilio does after <Connect><Stream>,
+// sends connected and start, then media and stop when asked. What the bridge sends back
+// (media, clear, mark) is kept in messages.
+export const connectMediaStream = async (url, {
+  callSid,
+  parameters = {},
+  streamSid = createSid('MZ'),
+  accountSid = createSid('AC'),
+}) => {
+  const ws = new WebSocket(url);
+  const received = createMessageLog();
+  ws.on('message', (data) => received.push(JSON.parse(data)));
+  const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+
+  await once(ws, 'open');
+
+  let sequenceNumber = 0;
+  let chunk = 0;
+  const send = (event, body = {}) => {
+    sequenceNumber += 1;
+    ws.send(JSON.stringify({ event, sequenceNumber: String(sequenceNumber), ...body, streamSid }));
+  };
+
+  ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+  send('start', {
+    start: {
+      accountSid,
+      streamSid,
+      callSid,
+      tracks: ['inbound'],
+      customParameters: parameters,
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+    },
+  });
+
+  return {
+    streamSid,
+    callSid,
+    // Resolves with the close code once either side closed the stream
+    closed,
+    messages: received.messages,
+    waitFor: received.waitFor,
+
+    // Audio the bridge played to the caller, as base64 payloads
+    get playedAudio() {
+      return received.messages.filter((message) => message.event === 'media').map((message) => message.media.payload);
+    },
+
+    isOpen: () => ws.readyState === WebSocket.OPEN,
+
+    sendAudio(payload = SILENCE_CHUNK) {
+      chunk += 1;
+      send('media', { media: { track: 'inbound', chunk: String(chunk), timestamp: String(chunk * 20), payload } });
+    },
+
+    // Twilio echoes a mark once the audio sent before it finished playing
+    sendMark(name) {
+      send('mark', { mark: { name } });
+    },
+
+    stop() {
+      send('stop', { stop: { accountSid, callSid } });
+    },
+
+    // The caller hung up: Twilio sends stop and closes the socket
+    async hangUp() {
+      if (ws.readyState === WebSocket.OPEN) {
+        this.stop();
+        ws.close();
+      }
+      return closed;
+    },
+  };
+};
@@ -0,0 +1,37 @@
+// Messages received by a simulated peer, kept in order, with a way to wait for one.
+// waitFor looks at what already arrived first, so a reply that beat the wait is not missed.
+export const createMessageLog = () => {
+  const messages = [];
+  const waiters = new Set();
+
+  return {
+    messages,
+
+    push(message) {
+      messages.push(message);
+      for (const waiter of waiters) {
+        if (waiter.predicate(message)) {
+          waiters.delete(waiter);
+          clearTimeout(waiter.timer);
+          waiter.resolve(message);
+        }
+      }
+    },
+
+    waitFor(predicate, { timeoutMs = 2000, description = 'message' } = {}) {
+      const found = messages.find(predicate);
+      if (found) {
+        return Promise.resolve(found);
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.delete(waiter);
+          reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`));
+        }, timeoutMs);
+        waiters.add(waiter);
+      });
+    },
+  };
+};
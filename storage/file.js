@@ -0,0 +1,51 @@
+import { createPersistQueue, readJsonFile } from '../json-file.js';
+import { createMemoryAdapter } from './memory.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('storage');
+
+// Local file adapter: the in-memory adapter, persisted to one JSON file.
+// Writes are batched and serialized, so a burst of log entries costs one write.
+// A failed write is reported to onWriteError and fails ping() until a later write goes through.
+export const createFileAdapter = ({ filePath, flushDelayMs = 200, onWriteError = () => {} }) => {
+  const calls = new Map(Object.entries(readJsonFile(filePath, {})));
+  let flushTimer = null;
+  const persist = createPersistQueue(filePath, () => Object.fromEntries(calls), { log, label: 'conversations' });
+  let pendingWrite = Promise.resolve();
+  let lastWriteError = null;
+
+  const flush = () => {
+    flushTimer = null;
+    pendingWrite = persist().then((error) => {
+      lastWriteError = error;
+      if (error) {
+        onWriteError('persist conversations', error);
+      }
+    });
+    return pendingWrite;
+  };
+
+  const adapter = createMemoryAdapter({
+    calls,
+    onChange: () => {
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushDelayMs);
+      }
+    },
+  });
+
+  log.info(`Conversations are stored in ${filePath}`);
+
+  return {
+    ...adapter,
+    name: 'file',
+
+    // Ready as long as the last write went through
+    async ping() {
+      await pendingWrite;
+      if (lastWriteError) {
+        throw new Error(`Last write to ${filePath} failed: ${lastWriteError.message}`);
+      }
+    },
+  };
+};
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import admin from 'firebase-admin';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('storage');
+
+// Helper function to turn a phone number into a Firebase key (remove + and other special chars)
+const sanitizePhoneNumber = (phoneNumber) => phoneNumber.replace(/[^\w\s]/gi, '');
+
+// Firebase Realtime Database adapter.
+// Every call has its own record under the phone number: conversations/{phone}/calls/{callSid},
+// and callIndex/{callSid} keeps a small summary of each call for listing and searching.
+// With a namespace, both live under tenants/{namespace}/ instead of the database root.
+export const createFirebaseAdapter = ({ databaseURL, serviceAccountPath, namespace = null }) => {
+  // Tenants share one Firebase app
+  if (!admin.apps.length) {
+    const serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL,
+    });
+  }
+
+  // Get a reference to the Realtime Database
+  const database = admin.database();
+  log.info(`Realtime Database connected${namespace ? ` for ${namespace}` : ''}`);
+
+  const root = namespace ? `tenants/${namespace}/` : '';
+  const ref = (refPath) => database.ref(`${root}${refPath}`);
+
+  const getCallRef = (phoneNumber, callSid) =>
+    ref(`conversations/${sanitizePhoneNumber(phoneNumber)}/calls/${callSid}`);
+
+  return {
+    name: 'firebase',
+
+    async appendLog(phoneNumber, callSid, message, source) {
+      const callRef = getCallRef(phoneNumber, callSid);
+      await callRef.update({
+        lastUpdated: admin.database.ServerValue.TIMESTAMP,
+      });
+      await callRef.child('logs').push({
+        message,
+        source, // 'agent', 'human', or 'system'
+        timestamp: admin.database.ServerValue.TIMESTAMP,
+      });
+    },
+
+    // startTime is only ever set once, whichever write reaches the call first
+    async startCall(phoneNumber, callSid, { direction = 'outbound' } = {}) {
+      await ref(`conversations/${sanitizePhoneNumber(phoneNumber)}`).update({
+        phoneNumber,
+        lastCallSid: callSid,
+        lastUpdated: admin.database.ServerValue.TIMESTAMP,
+      });
+
+      const callRef = getCallRef(phoneNumber, callSid);
+      await callRef.update({
+        callSid,
+        phoneNumber,
+        direction,
+        status: 'active',
+        lastUpdated: admin.database.ServerValue.TIMESTAMP,
+      });
+      const { snapshot } = await callRef.child('startTime').transaction((current) => current || Date.now());
+
+      await ref(`callIndex/${callSid}`).update({
+        phoneNumber,
+        direction,
+        startTime: snapshot.val(),
+        status: 'active',
+      });
+    },
+
+    // The first final status wins, e.g. 'transferred' is not overwritten when the transferred call completes
+    async endCall(phoneNumber, callSid, status) {
+      const callRef = getCallRef(phoneNumber, callSid);
+      const endTime = await callRef.child('endTime').transaction((current) => current || Date.now());
+      const finalStatus = await callRef.child('status').transaction((current) =>
+        !current || current === 'active' ? status : current
+      );
+      await callRef.update({ lastUpdated: admin.database.ServerValue.TIMESTAMP });
+
+      await ref(`callIndex/${callSid}`).update({
+        phoneNumber,
+        endTime: endTime.snapshot.val(),
+        status: finalStatus.snapshot.val(),
+      });
+    },
+
+    async recordTransition(phoneNumber, callSid, transition) {
+      const callRef = getCallRef(phoneNumber, callSid);
+      await callRef.update({
+        state: transition.to,
+        lastUpdated: admin.database.ServerValue.TIMESTAMP,
+      });
+      await callRef.child('transitions').push(transition);
+    },
+
+    // Keys may be paths, e.g. { 'attempts/2': attempt }
+    async updateCall(phoneNumber, callSid, details) {
+      await getCallRef(phoneNumber, callSid).update({
+        ...details,
+        lastUpdated: admin.database.ServerValue.TIMESTAMP,
+      });
+    },
+
+    async appendToolCall(phoneNumber, callSid, entry) {
+      await getCallRef(phoneNumber, callSid).child('toolCalls').push(entry);
+    },
+
+    async getCall(callSid) {
+      const indexSnapshot = await ref(`callIndex/${callSid}`).once('value');
+      if (!indexSnapshot.exists()) {
+        return null;
+      }
+
+      const callSnapshot = await getCallRef(indexSnapshot.val().phoneNumber, callSid).once('value');
+      return callSnapshot.exists() ? { callSid, ...callSnapshot.val() } : null;
+    },
+
+    async searchCalls({ phoneNumber, from, to }) {
+      let query = ref('callIndex');
+      if (phoneNumber) {
+        query = query.orderByChild('phoneNumber').equalTo(phoneNumber);
+      } else {
+        query = query.orderByChild('startTime').startAt(from ?? 0).endAt(to ?? Number.MAX_SAFE_INTEGER);
+      }
+
+      const snapshot = await query.once('value');
+      const calls = [];
+      snapshot.forEach((child) => {
+        calls.push({ callSid: child.key, ...child.val() });
+      });
+      return calls;
+    },
+
+    async ping() {
+      await database.ref('.info/serverTimeOffset').once('value');
+    },
+  };
+};
@@ -0,0 +1,109 @@
+import path from 'path';
+import { TERMINAL_STATES } from '../call-lifecycle.js';
+import { createFirebaseAdapter } from './firebase.js';
+import { createFileAdapter } from './file.js';
+import { createMemoryAdapter } from './memory.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('storage');
+
+export const STORAGE_BACKENDS = ['firebase', 'file', 'memory'];
+
+// Storage: everything the server records about calls goes through this interface,
+// whichever adapter is behind it. An adapter implements
+//   appendLog(phoneNumber, callSid, message, source)
+//   startCall(phoneNumber, callSid, { direction })
+//   endCall(phoneNumber, callSid, status)
+//   recordTransition(phoneNumber, callSid, transition)
+//   updateCall(phoneNumber, callSid, details)
+//   appendToolCall(phoneNumber, callSid, entry)
+//   getCall(callSid), searchCalls({ phoneNumber, from, to }), ping()
+// Writes never throw: if the backend fails, the error is logged, reported to onWriteError
+// and the call carries on.
+export const createStorage = (adapter, { onWriteError = () => {} } = {}) => {
+  const write = (description, method) => async (phoneNumber, callSid, ...args) => {
+    if (!phoneNumber || !callSid) {
+      log.error({ callSid }, `Cannot ${description}: Phone number or callSid is missing`);
+      return;
+    }
+
+    try {
+      await method(phoneNumber, callSid, ...args);
+    } catch (error) {
+      log.error({ err: error, callSid }, `Error trying to ${description}`);
+      onWriteError(description, error);
+    }
+  };
+
+  const storage = {
+    backend: adapter.name,
+    appendLog: write('log message', adapter.appendLog),
+    startCall: write('start call record', adapter.startCall),
+    endCall: write('end call record', adapter.endCall),
+    updateCall: write('store call details', adapter.updateCall),
+    appendToolCall: write('log tool call', adapter.appendToolCall),
+
+    async recordTransition(phoneNumber, callSid, transition) {
+      await write('log call transition', adapter.recordTransition)(phoneNumber, callSid, transition);
+
+      // Calls that never reached the media stream (busy, no answer, ...) end here
+      if (TERMINAL_STATES.includes(transition.to)) {
+        await storage.endCall(phoneNumber, callSid, transition.to);
+      }
+    },
+
+    getCall: (callSid) => adapter.getCall(callSid),
+
+    // Newest first, filtered by start time and final status
+    async searchCalls({ phoneNumber, from, to, status, limit = 100 } = {}) {
+      const calls = await adapter.searchCalls({ phoneNumber, from, to });
+
+      return calls
+        .filter((call) => (!status || call.status === status)
+          && (from === undefined || call.startTime >= from)
+          && (to === undefined || call.startTime <= to))
+        .sort((a, b) => b.startTime - a.startTime)
+        .slice(0, limit);
+    },
+
+    ping: () => adapter.ping(),
+  };
+
+  return storage;
+};
+
+// Helper function to pick the storage adapter from configuration.
+// Firebase is used when a database URL is configured, unless another backend is asked for.
+// A namespace keeps a tenant's calls apart: under tenants/{namespace}/ in Firebase,
+// in data/tenants/{namespace}/conversations.json for the file backend, in its own map in memory.
+export const createStorageFromEnv = (env, { baseDir, dataDir, onWriteError, namespace = null }) => {
+  const backend = env.STORAGE_BACKEND || (env.FIREBASE_DATABASE_URL ? 'firebase' : 'file');
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  let adapter;
+  if (backend === 'firebase') {
+    if (!env.FIREBASE_DATABASE_URL) {
+      throw new Error('FIREBASE_DATABASE_URL is required for the firebase storage backend');
+    }
+    adapter = createFirebaseAdapter({
+      databaseURL: env.FIREBASE_DATABASE_URL,
+      serviceAccountPath: env.FIREBASE_KEY_PATH || path.join(baseDir, 'firebase-key.json'),
+      namespace,
+    });
+  } else if (backend === 'file') {
+    adapter = createFileAdapter({
+      filePath: namespace
+        ? path.join(dataDir, 'tenants', namespace, 'conversations.json')
+        : env.STORAGE_FILE_PATH || path.join(dataDir, 'conversations.json'),
+      onWriteError,
+    });
+  } else {
+    adapter = createMemoryAdapter();
+  }
+
+  log.info(`Using ${backend} storage backend${namespace ? ` for ${namespace}` : ''}`);
+  return createStorage(adapter, { onWriteError });
+};
@@ -0,0 +1,102 @@
+// In-memory adapter: keeps every call record in a Map. Data is lost on restart.
+// The file adapter builds on it and persists the same records to disk.
+
+// Helper function to set a value at a path like 'attempts/2' inside a record
+const setPath = (target, keyPath, value) => {
+  const keys = keyPath.split('/');
+  const last = keys.pop();
+  let node = target;
+
+  for (const key of keys) {
+    if (typeof node[key] !== 'object' || node[key] === null) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[last] = value;
+};
+
+// Summary of a call, like the index entries of the Firebase adapter
+const toIndexEntry = ({ callSid, phoneNumber, direction, startTime, endTime, status }) => ({
+  callSid,
+  phoneNumber,
+  direction,
+  startTime,
+  ...(endTime ? { endTime } : {}),
+  status,
+});
+
+export const createMemoryAdapter = ({ calls = new Map(), onChange = () => {} } = {}) => {
+  // Records are created on first write, so a log entry can never get lost
+  const getCall = (phoneNumber, callSid) => {
+    if (!calls.has(callSid)) {
+      calls.set(callSid, { callSid, phoneNumber, logs: [], transitions: [], toolCalls: [] });
+    }
+    return calls.get(callSid);
+  };
+
+  const touch = (call) => {
+    call.lastUpdated = Date.now();
+    onChange();
+  };
+
+  return {
+    name: 'memory',
+
+    async appendLog(phoneNumber, callSid, message, source) {
+      const call = getCall(phoneNumber, callSid);
+      call.logs.push({ message, source, timestamp: Date.now() });
+      touch(call);
+    },
+
+    async startCall(phoneNumber, callSid, { direction = 'outbound' } = {}) {
+      const call = getCall(phoneNumber, callSid);
+      Object.assign(call, { phoneNumber, direction, status: 'active' });
+      call.startTime = call.startTime || Date.now();
+      touch(call);
+    },
+
+    async endCall(phoneNumber, callSid, status) {
+      const call = getCall(phoneNumber, callSid);
+      call.endTime = call.endTime || Date.now();
+      if (!call.status || call.status === 'active') {
+        call.status = status;
+      }
+      touch(call);
+    },
+
+    async recordTransition(phoneNumber, callSid, transition) {
+      const call = getCall(phoneNumber, callSid);
+      call.state = transition.to;
+      call.transitions.push(transition);
+      touch(call);
+    },
+
+    async updateCall(phoneNumber, callSid, details) {
+      const call = getCall(phoneNumber, callSid);
+      for (const [key, value] of Object.entries(details)) {
+        setPath(call, key, value);
+      }
+      touch(call);
+    },
+
+    async appendToolCall(phoneNumber, callSid, entry) {
+      const call = getCall(phoneNumber, callSid);
+      call.toolCalls.push(entry);
+      touch(call);
+    },
+
+    async getCall(callSid) {
+      const call = calls.get(callSid);
+      return call ? structuredClone(call) : null;
+    },
+
+    async searchCalls({ phoneNumber }) {
+      return [...calls.values()]
+        .filter((call) => call.startTime && (!phoneNumber || call.phoneNumber === phoneNumber))
+        .map(toIndexEntry);
+    },
+
+    async ping() {},
+  };
+};
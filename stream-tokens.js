@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import { safeEqual } from './api-keys.js';
+
+// Short-lived tokens for the media stream. The TwiML that connects a call to the bridge
+// carries a token bound to the callSid, so only calls we answered can open a stream.
+
+const sign = (secret, callSid, expiresAt) =>
+  crypto.createHmac('sha256', secret).update(`${callSid}.${expiresAt}`).digest('hex');
+
+// Helper function to create a token in the form `${expiresAt}.${signature}`
+export const createStreamToken = (secret, callSid, ttlMs) => {
+  const expiresAt = Date.now() + ttlMs;
+  return `${expiresAt}.${sign(secret, callSid, expiresAt)}`;
+};
+
+// Helper function to check a token against the callSid of the stream that presents it
+export const verifyStreamToken = (secret, callSid, token) => {
+  if (!callSid || typeof token !== 'string') {
+    return false;
+  }
+
+  const [expiresAt, signature] = token.split('.');
+  if (!signature || !(Number(expiresAt) > Date.now())) {
+    return false;
+  }
+
+  return safeEqual(signature, sign(secret, callSid, expiresAt));
+};
@@ -0,0 +1,138 @@
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('templates');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Helper function to check the fields of a template before it is stored.
+// With partial set, only the fields that are present are checked (for updates).
+export const parseTemplateFields = (body, { partial = false } = {}) => {
+  const { elevenlabs_agent_id, prompt, first_message, required_variables } = body || {};
+
+  for (const [field, value] of Object.entries({ elevenlabs_agent_id, prompt, first_message })) {
+    if (value !== undefined && typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+  }
+
+  if (!partial && !prompt && !first_message && !elevenlabs_agent_id) {
+    return { error: 'A template needs a prompt, a first_message or an elevenlabs_agent_id' };
+  }
+
+  if (
+    required_variables !== undefined &&
+    (!Array.isArray(required_variables) || required_variables.some((name) => typeof name !== 'string' || !name))
+  ) {
+    return { error: 'required_variables must be an array of variable names' };
+  }
+
+  const fields = Object.fromEntries(
+    Object.entries({ elevenlabs_agent_id, prompt, first_message, required_variables })
+      .filter(([, value]) => value !== undefined)
+  );
+  return { fields };
+};
+
+// Helper function to fill {{placeholders}} with dynamic variables.
+// Placeholders without a value are left as they are, so ElevenLabs can still fill in its own variables.
+export const interpolate = (text, variables = {}) =>
+  String(text ?? '').replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder
+  );
+
+// Helper function to render a template version for one call.
+// Returns { config } with the agent, prompt and first_message, or { error, missing } when required variables are absent.
+export const renderTemplate = (template, variables = {}) => {
+  const missing = (template.required_variables || []).filter(
+    (name) => variables[name] === undefined || variables[name] === null || variables[name] === ''
+  );
+  if (missing.length > 0) {
+    return {
+      error: `Template ${template.name} v${template.version} is missing required variables: ${missing.join(', ')}`,
+      missing,
+    };
+  }
+
+  return {
+    config: {
+      elevenlabs_agent_id: template.elevenlabs_agent_id || undefined,
+      prompt: template.prompt ? interpolate(template.prompt, variables) : undefined,
+      first_message: template.first_message ? interpolate(template.first_message, variables) : undefined,
+    },
+  };
+};
+
+// Template store: named templates with every version kept, persisted to one JSON file.
+// Updating a template adds a version, so calls can pin the version they were tested with.
+export const createTemplateStore = ({ storePath }) => {
+  const templates = readJsonFile(storePath, {});
+  const persist = createPersistQueue(storePath, () => templates, { log, label: 'templates' });
+
+  const latest = (name) => templates[name]?.versions.at(-1) || null;
+
+  return {
+    // Returns null when a template with this name already exists
+    async create(name, fields) {
+      if (templates[name]) {
+        return null;
+      }
+
+      const version = {
+        name,
+        version: 1,
+        elevenlabs_agent_id: null,
+        prompt: '',
+        first_message: '',
+        required_variables: [],
+        ...fields,
+        createdAt: Date.now(),
+      };
+      templates[name] = { name, versions: [version] };
+      await persist();
+      log.info(`Created ${name} v1`);
+      return version;
+    },
+
+    // Adds a version based on the latest one; returns null for unknown templates
+    async update(name, fields) {
+      const current = latest(name);
+      if (!current) {
+        return null;
+      }
+
+      const version = { ...current, ...fields, version: current.version + 1, createdAt: Date.now() };
+      templates[name].versions.push(version);
+      await persist();
+      log.info(`Updated ${name} to v${version.version}`);
+      return version;
+    },
+
+    // Without a version, the latest one is returned
+    get(name, version) {
+      if (version === undefined || version === null) {
+        return latest(name);
+      }
+      return templates[name]?.versions.find((candidate) => candidate.version === Number(version)) || null;
+    },
+
+    versions(name) {
+      return templates[name]?.versions || null;
+    },
+
+    list() {
+      return Object.keys(templates).map(latest);
+    },
+
+    async delete(name) {
+      if (!templates[name]) {
+        return false;
+      }
+
+      delete templates[name];
+      await persist();
+      log.info(`Deleted ${name}`);
+      return true;
+    },
+  };
+};
@@ -0,0 +1,131 @@
+import { createPersistQueue, readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tenants');
+
+// Calls of API keys without a tenant, configured from the environment
+export const DEFAULT_TENANT_ID = 'default';
+
+export const TENANT_ID_PATTERN = '^[a-z0-9][a-z0-9_-]{0,62}$';
+
+// Fields that are never returned in full once stored
+const SECRET_FIELDS = ['twilio_auth_token', 'elevenlabs_api_key', 'webhook_secret'];
+
+const TENANT_FIELDS = [
+  'name',
+  'twilio_account_sid',
+  'twilio_auth_token',
+  'phone_numbers',
+  'elevenlabs_api_key',
+  'elevenlabs_agent_id',
+  'storage_namespace',
+  'webhook_url',
+  'webhook_secret',
+];
+
+// Helper function to check the fields of a tenant before it is stored. With current set,
+// the fields are an update of that tenant, and the checks apply to the merged result.
+// Returns { fields } or { error }.
+export const parseTenantFields = (body, { current = null } = {}) => {
+  const fields = Object.fromEntries(
+    TENANT_FIELDS.filter((field) => body?.[field] !== undefined).map((field) => [field, body[field]])
+  );
+  const merged = { ...current, ...fields };
+
+  if (Boolean(merged.twilio_account_sid) !== Boolean(merged.twilio_auth_token)) {
+    return { error: 'twilio_account_sid and twilio_auth_token must be set together' };
+  }
+
+  // The numbers of the default account belong to the default tenant
+  if (merged.twilio_account_sid && !merged.phone_numbers?.length) {
+    return { error: 'A tenant with its own Twilio account needs phone_numbers' };
+  }
+
+  if (merged.webhook_url && !merged.webhook_secret) {
+    return { error: 'webhook_url needs a webhook_secret, webhooks are never sent unsigned' };
+  }
+
+  if (merged.storage_namespace !== undefined && !new RegExp(TENANT_ID_PATTERN).test(merged.storage_namespace)) {
+    return { error: 'storage_namespace may only contain lowercase letters, digits, - and _' };
+  }
+
+  return { fields };
+};
+
+// Helper function to keep only the last characters of a secret, enough to tell two apart
+const maskSecret = (value) => (value ? `...${String(value).slice(-4)}` : null);
+
+// Helper function to mask the secrets before a tenant leaves the store
+export const toPublicTenant = (tenant) =>
+  tenant && {
+    ...tenant,
+    ...Object.fromEntries(SECRET_FIELDS.filter((field) => tenant[field]).map((field) => [field, maskSecret(tenant[field])])),
+  };
+
+// Tenant registry: the business units served by this deployment, persisted to one JSON file.
+// Secrets are kept as given, since the server calls Twilio and ElevenLabs with them.
+export const createTenantStore = ({ storePath }) => {
+  const tenants = new Map(Object.entries(readJsonFile(storePath, {})));
+  const persist = createPersistQueue(storePath, () => Object.fromEntries(tenants), { log, label: 'tenants' });
+
+  return {
+    // Returns null when a tenant with this id already exists
+    async create(id, fields) {
+      if (tenants.has(id)) {
+        return null;
+      }
+
+      const now = Date.now();
+      tenants.set(id, {
+        id,
+        name: id,
+        phone_numbers: [],
+        storage_namespace: id,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+      });
+      await persist();
+      log.info(`Created tenant ${id}`);
+      return tenants.get(id);
+    },
+
+    // Returns null for unknown tenants
+    async update(id, fields) {
+      const current = tenants.get(id);
+      if (!current) {
+        return null;
+      }
+
+      // A timestamp that always moves on, so cached clients of the tenant are rebuilt
+      const updatedAt = Math.max(Date.now(), current.updatedAt + 1);
+      tenants.set(id, { ...current, ...fields, updatedAt });
+      await persist();
+      log.info(`Updated tenant ${id}`);
+      return tenants.get(id);
+    },
+
+    async delete(id) {
+      if (!tenants.delete(id)) {
+        return false;
+      }
+
+      await persist();
+      log.info(`Deleted tenant ${id}`);
+      return true;
+    },
+
+    get(id) {
+      return tenants.get(id) || null;
+    },
+
+    list() {
+      return [...tenants.values()];
+    },
+
+    // The tenant a Twilio number belongs to, e.g. the one an inbound call was made to
+    findByPhoneNumber(number) {
+      return [...tenants.values()].find((tenant) => tenant.phone_numbers?.includes(number)) || null;
+    },
+  };
+};
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { eventually, HOST, startApp } from './harness.js';
+
+describe('API', () => {
+  let sim;
+
+  before(async () => {
+    sim = await startApp();
+  });
+
+  after(() => sim.close());
+
+  test('reports ready once storage and config check out', async () => {
+    const { statusCode, body } = await sim.api('GET', '/');
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.checks.storage.ok, true);
+    assert.equal(body.checks.config.ok, true);
+  });
+
+  test('reports not ready once the conversations file can no longer be written', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-assistant-test-'));
+    const filePath = path.join(dataDir, 'conversations.json');
+    const fileSim = await startApp({ STORAGE_BACKEND: 'file', STORAGE_FILE_PATH: filePath });
+
+    try {
+      // A directory in place of the data file makes every write fail
+      fs.mkdirSync(filePath);
+      await fileSim.api('POST', '/outbound-call', { number: '+15551230009' });
+
+      const { statusCode, body } = await eventually(async () => {
+        const response = await fileSim.api('GET', '/');
+        assert.equal(response.statusCode, 503);
+        return response;
+      });
+      const { body: metrics } = await fileSim.app.inject({
+        method: 'GET',
+        url: '/metrics',
+        headers: { authorization: `Bearer ${fileSim.env.TOKEN}` },
+      });
+
+      assert.equal(statusCode, 503);
+      assert.equal(body.error.code, 'NOT_READY');
+      assert.equal(body.error.details.checks.storage.ok, false);
+      assert.match(metrics, /^call_assistant_storage_write_failures_total\{backend="file",operation="persist conversations"\} 1$/m);
+    } finally {
+      await fileSim.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects requests without a valid token', async () => {
+    const missing = await sim.api('POST', '/outbound-call', { number: '+15551230000' }, { token: null });
+    const wrong = await sim.api('POST', '/outbound-call', { number: '+15551230000' }, { token: 'wrong' });
+
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.body.error.code, 'UNAUTHORIZED');
+    assert.equal(wrong.statusCode, 401);
+  });
+
+  test('lists every invalid field', async () => {
+    const { statusCode, body } = await sim.api('POST', '/outbound-call', { number: '5551230000' });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'VALIDATION_FAILED');
+    assert.ok(body.error.details.some((issue) => issue.field === 'body.number'));
+  });
+
+  test('places an outbound call through Twilio', async () => {
+    const { statusCode, body } = await sim.api('POST', '/outbound-call', {
+      number: '+15551230001',
+      prompt: 'You are a test agent',
+      first_message: 'Hello from the simulator',
+    });
+
+    assert.equal(statusCode, 200);
+    const call = sim.twilio.created.find(({ sid }) => sid === body.callSid);
+    assert.ok(call);
+    assert.equal(call.to, '+15551230001');
+    assert.equal(call.from, sim.env.TWILIO_PHONE_NUMBER);
+    assert.equal(new URL(call.url).host, HOST);
+    assert.equal(new URL(call.url).pathname, '/outbound-call-twiml');
+  });
+
+  test('passes Twilio errors on with their code', async () => {
+    sim.twilio.failNextCall(400, 21211, "The 'To' number is not a valid phone number");
+
+    const { statusCode, body } = await sim.api('POST', '/outbound-call', { number: '+15551230002' });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'TWILIO_ERROR');
+    assert.equal(body.error.details.twilio_code, 21211);
+  });
+
+  test('does not dial numbers on the do-not-call list', async () => {
+    const placed = sim.twilio.created.length;
+    await sim.api('POST', '/do-not-call', { number: '+15551230003', reason: 'asked by email' });
+
+    const { statusCode, body } = await sim.api('POST', '/outbound-call', { number: '+15551230003' });
+
+    assert.equal(statusCode, 403);
+    assert.equal(body.error.code, 'DO_NOT_CALL');
+    assert.equal(sim.twilio.created.length, placed);
+  });
+
+  test('rejects webhooks without a valid Twilio signature', async () => {
+    const response = await sim.webhook('/inbound-call', { CallSid: 'CA00000000000000000000000000000000', From: '+15551230004' }, {
+      signature: 'forged',
+    });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.json().error.code, 'INVALID_SIGNATURE');
+  });
+});
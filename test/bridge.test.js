@@ -0,0 +1,216 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSid, SILENCE_CHUNK } from '../simulator/index.js';
+import { eventually, startApp } from './harness.js';
+
+const AGENT_CHUNK = Buffer.alloc(160, 0x7f).toString('base64');
+
+describe('media bridge', () => {
+  let sim;
+
+  before(async () => {
+    sim = await startApp({ AGENT_RECONNECT_TIMEOUT_SECONDS: '2' });
+  });
+
+  after(() => sim.close());
+
+  // Helper function to place an outbound call and answer it, up to the agent's conversation
+  const placeCall = async (number, body = {}) => {
+    const conversationIndex = sim.elevenLabs.conversations.length;
+    const { body: placed } = await sim.api('POST', '/outbound-call', { number, ...body });
+    const call = sim.twilio.created.find(({ sid }) => sid === placed.callSid);
+    const caller = await sim.answer(call);
+    const conversation = await sim.elevenLabs.waitForConversation(conversationIndex);
+    await conversation.initiation();
+    return { callSid: call.sid, caller, conversation };
+  };
+
+  // Helper function to read a counter from /metrics, e.g. readCounter('calls_ended_total{outcome="machine"}')
+  const readCounter = async (series) => {
+    const { body } = await sim.app.inject({
+      method: 'GET',
+      url: '/metrics',
+      headers: { authorization: `Bearer ${sim.env.TOKEN}` },
+    });
+    const line = body.split('\n').find((candidate) => candidate.startsWith(`call_assistant_${series} `));
+    return line ? Number(line.split(' ').at(-1)) : 0;
+  };
+
+  // Helper function to send a status callback for a call placed through the fake Twilio client
+  const sendStatus = (call, CallStatus) => {
+    const { pathname, search } = new URL(call.statusCallback);
+    return sim.webhook(`${pathname}${search}`, { CallSid: call.sid, CallStatus, To: call.to });
+  };
+
+  test('bridges an outbound call to the agent and back', async () => {
+    const { callSid, caller, conversation } = await placeCall('+15552220001', {
+      prompt: 'You are a test agent',
+      first_message: 'Hello from the simulator',
+    });
+
+    const initiation = await conversation.initiation();
+    assert.equal(initiation.conversation_config_override.agent.prompt.prompt, 'You are a test agent');
+    assert.equal(initiation.conversation_config_override.agent.first_message, 'Hello from the simulator');
+    assert.equal(conversation.agentId, 'sim-agent');
+
+    // Caller audio reaches the agent
+    caller.sendAudio(SILENCE_CHUNK);
+    await conversation.waitFor((message) => message.user_audio_chunk === SILENCE_CHUNK);
+
+    // Agent audio reaches the caller
+    conversation.sendAudio(AGENT_CHUNK);
+    const media = await caller.waitFor((message) => message.event === 'media');
+    assert.equal(media.media.payload, AGENT_CHUNK);
+    assert.equal(media.streamSid, caller.streamSid);
+
+    // Pings are answered, so the agent keeps the conversation open
+    const pong = await conversation.ping();
+    assert.equal(pong.type, 'pong');
+
+    // An interruption clears the audio Twilio still has queued
+    conversation.interrupt();
+    await caller.waitFor((message) => message.event === 'clear');
+
+    conversation.agentResponse('How can I help?');
+    conversation.userTranscript('What are your opening hours?');
+
+    // Twilio hangs up: the stream stops and the call is stored with its transcript
+    await caller.hangUp();
+    await conversation.closed;
+
+    const call = await eventually(async () => {
+      const { body } = await sim.api('GET', `/calls/${callSid}`);
+      assert.ok(body.call.endTime);
+      return body.call;
+    });
+    assert.deepEqual(
+      call.transcript.map(({ role, message }) => [role, message]),
+      [['agent', 'How can I help?'], ['human', 'What are your opening hours?']]
+    );
+  });
+
+  test('analyzes a call once it ends', async () => {
+    const { callSid, caller, conversation } = await placeCall('+15552220007');
+
+    conversation.agentResponse('How can I help?');
+    conversation.userTranscript('Not now, call me back tomorrow at 3pm');
+    await caller.hangUp();
+    await conversation.closed;
+
+    const { analysis } = await eventually(async () => {
+      const { body } = await sim.api('GET', `/calls/${callSid}`);
+      assert.ok(body.call.analysis);
+      return body.call;
+    });
+    assert.equal(analysis.outcome, 'callback_requested');
+    assert.equal(analysis.fields.callback_time, 'tomorrow at 3pm');
+
+    // Stored calls can be analyzed again from their logs
+    const { body: reanalyzed } = await sim.api('POST', `/calls/${callSid}/analysis`);
+    assert.equal(reanalyzed.analysis.outcome, 'callback_requested');
+  });
+
+  test('answers an inbound call with the default agent', async () => {
+    const callSid = createSid('CA');
+    const conversationIndex = sim.elevenLabs.conversations.length;
+
+    const response = await sim.webhook('/inbound-call', {
+      CallSid: callSid,
+      From: '+15552220002',
+      To: sim.env.TWILIO_PHONE_NUMBER,
+      CallStatus: 'ringing',
+    });
+    assert.equal(response.statusCode, 200);
+
+    const caller = await sim.openStream(response.body, callSid);
+    const conversation = await sim.elevenLabs.waitForConversation(conversationIndex);
+    await conversation.initiation();
+    assert.equal(conversation.agentId, 'sim-agent');
+
+    await caller.hangUp();
+    const { body } = await eventually(async () => {
+      const result = await sim.api('GET', `/calls/${callSid}`);
+      assert.ok(result.body.call.endTime);
+      return result;
+    });
+    assert.equal(body.call.direction, 'inbound');
+  });
+
+  test('closes streams that bring no valid token', async () => {
+    const callSid = createSid('CA');
+    const conversations = sim.elevenLabs.conversations.length;
+
+    const response = await sim.webhook('/inbound-call', { CallSid: callSid, From: '+15552220003', CallStatus: 'ringing' });
+    // Reusing the token of one call for another must fail as well
+    const caller = await sim.openStream(response.body, createSid('CA'));
+
+    await caller.closed;
+    assert.equal(sim.elevenLabs.conversations.length, conversations);
+  });
+
+  test('reconnects to the agent when its connection drops', async () => {
+    const { caller, conversation } = await placeCall('+15552220004');
+
+    await conversation.drop();
+    const resumed = await sim.elevenLabs.waitForConversation(conversation.index + 1, { timeoutMs: 3000 });
+    await resumed.initiation();
+
+    // The new connection carries on with the same caller
+    caller.sendAudio(SILENCE_CHUNK);
+    await resumed.waitFor((message) => message.user_audio_chunk);
+
+    await caller.hangUp();
+    await resumed.closed;
+  });
+
+  test('counts relayed audio and interruptions', async () => {
+    const series = [
+      'audio_chunks_relayed_total{direction="caller_to_agent"}',
+      'audio_chunks_relayed_total{direction="agent_to_caller"}',
+      'interruptions_total',
+      'calls_initiated_total{direction="outbound"}',
+    ];
+    const before = await Promise.all(series.map(readCounter));
+
+    const { caller, conversation } = await placeCall('+15552220008');
+    caller.sendAudio(SILENCE_CHUNK);
+    await conversation.waitFor((message) => message.user_audio_chunk === SILENCE_CHUNK);
+    conversation.sendAudio(AGENT_CHUNK);
+    await caller.waitFor((message) => message.event === 'media');
+    conversation.interrupt();
+    await caller.waitFor((message) => message.event === 'clear');
+
+    const after = await Promise.all(series.map(readCounter));
+    assert.deepEqual(after.map((value, index) => value - before[index]), [1, 1, 1, 1]);
+
+    await caller.hangUp();
+    await conversation.closed;
+  });
+
+  test('counts every ended call once, bridged or not', async () => {
+    const machinesBefore = await readCounter('calls_ended_total{outcome="machine"}');
+    const completedBefore = await readCounter('calls_ended_total{outcome="completed"}');
+
+    // Hung up on a machine before the media stream started
+    const { body: placed } = await sim.api('POST', '/outbound-call', { number: '+15552220005', machine_detection: true });
+    const machineCall = sim.twilio.created.find(({ sid }) => sid === placed.callSid);
+    const { pathname, search } = new URL(machineCall.url);
+    await sim.webhook(`${pathname}${search}`, { CallSid: machineCall.sid, AnsweredBy: 'machine_start', To: machineCall.to });
+    await sendStatus(machineCall, 'completed');
+
+    // Bridged and counted by the bridge, whatever the status callback says afterwards
+    const { callSid, caller, conversation } = await placeCall('+15552220006');
+    const bridgedCall = sim.twilio.created.find(({ sid }) => sid === callSid);
+    await sendStatus(bridgedCall, 'in-progress');
+    await caller.hangUp();
+    await conversation.closed;
+    await eventually(async () => {
+      const { body } = await sim.api('GET', `/calls/${callSid}`);
+      assert.ok(body.call.endTime);
+    });
+    await sendStatus(bridgedCall, 'completed');
+
+    assert.equal(await readCounter('calls_ended_total{outcome="machine"}'), machinesBefore + 1);
+    assert.equal(await readCounter('calls_ended_total{outcome="completed"}'), completedBefore + 1);
+  });
+});
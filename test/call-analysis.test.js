@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCallAnalyzer, parseAnalysisConfig } from '../call-analysis.js';
+
+const { config } = parseAnalysisConfig();
+
+// Helper function to build a transcript from [role, message] pairs
+const turns = (...pairs) => pairs.map(([role, message], index) => ({ role, message, timestamp: index }));
+
+describe('call analysis', () => {
+  const analyzer = createCallAnalyzer({ config });
+
+  test('classifies outcomes with the built-in rules', async () => {
+    const cases = [
+      ['Sorry, you have the wrong number', 'wrong_number'],
+      ["I'm not interested, thanks", 'not_interested'],
+      ['That sounds great, tell me more', 'interested'],
+      ['Can you call me again next week?', 'callback_requested'],
+      ['Please take me off your list', 'opted_out'],
+      ['Who is this?', 'unknown'],
+    ];
+
+    for (const [message, outcome] of cases) {
+      const analysis = await analyzer.analyze(turns(['agent', 'Hi, this is Gabor'], ['human', message]));
+      assert.equal(analysis.outcome, outcome, message);
+    }
+  });
+
+  test('only reads what the caller said, unless a rule asks for the agent', async () => {
+    const analysis = await analyzer.analyze(turns(['agent', 'Are you interested?'], ['human', 'Who is this?']));
+
+    assert.equal(analysis.outcome, 'unknown');
+  });
+
+  test('extracts the callback time and email, later mentions winning', async () => {
+    const analysis = await analyzer.analyze(turns(
+      ['human', 'Call me tomorrow morning'],
+      ['agent', 'Sure, where should I send the details?'],
+      ['human', 'Actually make it Friday at 10:30 am, and mail jane.doe@example.com'],
+    ));
+
+    assert.equal(analysis.outcome, 'callback_requested');
+    assert.deepEqual(analysis.fields, { callback_time: 'Friday at 10:30 am', email: 'jane.doe@example.com' });
+    assert.match(analysis.summary, /^Callback requested\./);
+  });
+
+  test('an opt-out recorded during the call wins over the rules', async () => {
+    const analysis = await analyzer.analyze(turns(['human', 'Sounds good']), {
+      optOut: { phrase: 'stop calling me', at: 0 },
+    });
+
+    assert.equal(analysis.outcome, 'opted_out');
+    assert.equal(analysis.evidence.message, 'stop calling me');
+  });
+
+  test('uses custom rules from the config', async () => {
+    const custom = parseAnalysisConfig({
+      rules: [{ outcome: 'meeting_booked', patterns: ['\\bbook(ed)? (a|the) (meeting|demo)\\b'] }],
+      extractors: [],
+      default_outcome: 'no_meeting',
+    });
+    const customAnalyzer = createCallAnalyzer({ config: custom.config });
+
+    assert.equal((await customAnalyzer.analyze(turns(['human', "Let's book a demo"]))).outcome, 'meeting_booked');
+    assert.equal((await customAnalyzer.analyze(turns(['human', 'Maybe later']))).outcome, 'no_meeting');
+  });
+
+  test('rejects rules with invalid patterns', () => {
+    const { error } = parseAnalysisConfig({ rules: [{ outcome: 'broken', patterns: ['(unclosed'] }] });
+
+    assert.match(error, /Rule broken has an invalid pattern/);
+  });
+
+  test('lets an analyzer module take over, filling gaps from the rules', async () => {
+    const moduleAnalyzer = createCallAnalyzer({
+      config,
+      analyzerModule: async (transcript) => ({ outcome: 'interested', fields: { budget: `${transcript.length} turns` } }),
+    });
+
+    const analysis = await moduleAnalyzer.analyze(turns(['human', 'Call me back at 5pm']));
+
+    assert.equal(analysis.analyzer, 'module');
+    assert.equal(analysis.outcome, 'interested');
+    assert.deepEqual(analysis.fields, { callback_time: 'at 5pm', budget: '1 turns' });
+    assert.match(analysis.summary, /^Callback requested\./);
+  });
+
+  test('falls back to the rules when the analyzer module fails', async () => {
+    const failingAnalyzer = createCallAnalyzer({
+      config,
+      analyzerModule: async () => {
+        throw new Error('model unavailable');
+      },
+    });
+
+    const analysis = await failingAnalyzer.analyze(turns(['human', 'Wrong number']));
+
+    assert.equal(analysis.analyzer, 'rules');
+    assert.equal(analysis.outcome, 'wrong_number');
+    assert.equal(analysis.analyzerError, 'model unavailable');
+  });
+});
@@ -0,0 +1,114 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSid, SILENCE_CHUNK } from '../simulator/index.js';
+import { eventually, startApp } from './harness.js';
+
+const QUEUED_CHUNK = Buffer.alloc(160, 0x10).toString('base64');
+const RESUMED_CHUNK = Buffer.alloc(160, 0x20).toString('base64');
+
+describe('mid-call control', () => {
+  let sim;
+
+  before(async () => {
+    sim = await startApp({ TTS_VOICE_ID: 'sim-voice', MAX_CLIP_SECONDS: '5' });
+  });
+
+  after(() => sim.close());
+
+  // Helper function to place an outbound call and answer it, up to the agent's conversation
+  const placeCall = async (number) => {
+    const conversationIndex = sim.elevenLabs.conversations.length;
+    const { body: placed } = await sim.api('POST', '/outbound-call', { number });
+    const call = sim.twilio.created.find(({ sid }) => sid === placed.callSid);
+    const caller = await sim.answer(call);
+    const conversation = await sim.elevenLabs.waitForConversation(conversationIndex);
+    await conversation.initiation();
+    // The call is registered once its session is loaded, which the agent's conversation waits for
+    await eventually(async () => {
+      const { body } = await sim.api('GET', '/monitor/calls');
+      assert.ok(body.calls.some(({ callSid }) => callSid === call.sid));
+    });
+    return { callSid: call.sid, caller, conversation };
+  };
+
+  test('sends contextual updates and user messages to the agent', async () => {
+    const { callSid, caller, conversation } = await placeCall('+15554440001');
+
+    const update = await sim.api('POST', `/calls/${callSid}/contextual-update`, { text: 'The payment was confirmed' });
+    const message = await sim.api('POST', `/calls/${callSid}/user-message`, { text: 'Did my payment go through?' });
+
+    assert.equal(update.statusCode, 200);
+    assert.equal(message.statusCode, 200);
+    await conversation.waitFor((received) => received.type === 'contextual_update' && received.text === 'The payment was confirmed');
+    await conversation.waitFor((received) => received.type === 'user_message' && received.text === 'Did my payment go through?');
+
+    await caller.hangUp();
+  });
+
+  test('plays a spoken clip to the caller while the agent waits', async () => {
+    const { callSid, caller, conversation } = await placeCall('+15554440002');
+
+    const { statusCode, body } = await sim.api('POST', `/calls/${callSid}/play`, { text: 'Your payment was confirmed.' });
+    assert.equal(statusCode, 200);
+    assert.equal(body.durationMs, 60);
+    assert.deepEqual(sim.elevenLabs.speechRequests.at(-1), { text: 'Your payment was confirmed.', voiceId: 'sim-voice' });
+
+    const mark = await caller.waitFor((received) => received.event === 'mark');
+    assert.equal(caller.playedAudio.length, 3);
+    await conversation.waitFor((received) => received.type === 'contextual_update' && received.text.includes('Your payment was confirmed.'));
+
+    // Agent audio is dropped until Twilio reports the clip played
+    conversation.sendAudio(QUEUED_CHUNK);
+    await conversation.ping();
+    caller.sendMark(mark.mark.name);
+    caller.sendAudio(SILENCE_CHUNK);
+    await conversation.waitFor((received) => received.user_audio_chunk === SILENCE_CHUNK);
+
+    conversation.sendAudio(RESUMED_CHUNK);
+    await caller.waitFor((received) => received.media?.payload === RESUMED_CHUNK);
+    assert.ok(!caller.playedAudio.includes(QUEUED_CHUNK));
+
+    await caller.hangUp();
+  });
+
+  test('checks clips before playing them', async () => {
+    const { callSid, caller } = await placeCall('+15554440003');
+
+    const both = await sim.api('POST', `/calls/${callSid}/play`, { text: 'Hello', audio: SILENCE_CHUNK });
+    const tooLong = await sim.api('POST', `/calls/${callSid}/play`, { audio: Buffer.alloc(6 * 8000, 0xff).toString('base64') });
+    const unknownCall = await sim.api('POST', `/calls/${createSid('CA')}/play`, { audio: SILENCE_CHUNK });
+    const audio = await sim.api('POST', `/calls/${callSid}/play`, { audio: SILENCE_CHUNK });
+
+    assert.equal(both.statusCode, 400);
+    assert.equal(tooLong.statusCode, 400);
+    assert.equal(unknownCall.statusCode, 404);
+    assert.equal(audio.statusCode, 200);
+    await caller.waitFor((received) => received.media?.payload === SILENCE_CHUNK);
+
+    await caller.hangUp();
+  });
+
+  test('ends a call with a goodbye', async () => {
+    const { callSid, caller, conversation } = await placeCall('+15554440004');
+
+    const { statusCode } = await sim.api('POST', `/calls/${callSid}/end`, { goodbye: 'Thanks for your payment, goodbye!' });
+    assert.equal(statusCode, 200);
+
+    const update = sim.twilio.updates.find(({ sid }) => sid === callSid);
+    assert.match(update.twiml, /<Say>Thanks for your payment, goodbye!<\/Say>/);
+    assert.equal(await conversation.closed, 1000);
+
+    const again = await sim.api('POST', `/calls/${callSid}/end`);
+    assert.equal(again.statusCode, 409);
+
+    // Twilio ends the stream once the goodbye was said
+    await caller.hangUp();
+    const call = await eventually(async () => {
+      const { body } = await sim.api('GET', `/calls/${callSid}`);
+      assert.ok(body.call.endTime);
+      return body.call;
+    });
+    assert.equal(call.status, 'ended_by_api');
+    assert.equal(call.endedBy.client, 'admin');
+  });
+});
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRetryScheduler } from '../call-retries.js';
+import { createCampaignManager } from '../campaigns.js';
+import { checkCallingHours } from '../compliance.js';
+import { createSid } from '../simulator/index.js';
+import { eventually } from './harness.js';
+
+const POLICY = { max_attempts: 2, backoff_seconds: [0], retry_on: ['no-answer'] };
+
+// Helper function to create a scheduler that dials through placeCall and ticks quickly
+const createScheduler = (placeCall) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-assistant-test-'));
+  return createRetryScheduler({
+    placeCall,
+    getCallStatus: async () => 'queued',
+    recordAttempt: () => {},
+    storePath: path.join(dataDir, 'retries.json'),
+    tickIntervalMs: 20,
+  });
+};
+
+// Helper function to build the error initiateOutboundCall throws for a blocked call
+const blockedError = (code, details = {}) => Object.assign(new Error(code), { compliance: { code, message: code, details } });
+
+describe('call retries', () => {
+  test('holds an attempt back until the block lifts', async () => {
+    const opensAt = Date.now() + 200;
+    const dialed = [];
+    const scheduler = createScheduler(async (host, request) => {
+      if (dialed.length === 0) {
+        dialed.push(null);
+        throw blockedError('OUTSIDE_CALLING_HOURS', { retry_after: new Date(opensAt).toISOString() });
+      }
+      const sid = createSid('CA');
+      dialed.push(sid);
+      return { sid };
+    });
+
+    const callSid = createSid('CA');
+    await scheduler.register('sim.example.com', callSid, { number: '+15556660001' }, POLICY);
+    await scheduler.handleOutcome(callSid, callSid, 'no-answer');
+
+    const held = await eventually(async () => {
+      const conversation = scheduler.get(callSid);
+      assert.equal(dialed.length, 1);
+      return conversation;
+    });
+    assert.equal(held.status, 'waiting');
+    assert.equal(held.attempts.length, 1);
+    assert.equal(held.nextAttemptAt, opensAt);
+
+    // The held back attempt is dialed once the calling hours open, and still counts as the second one
+    const dialedLater = await eventually(async () => {
+      const conversation = scheduler.get(callSid);
+      assert.equal(conversation.status, 'in-flight');
+      return conversation;
+    });
+    assert.ok(Date.now() >= opensAt);
+    assert.equal(dialedLater.attempts.length, 2);
+    assert.equal(dialedLater.attempts[1].callSid, dialed[1]);
+  });
+
+  test('ends the retries of a number on the do-not-call list', async () => {
+    const scheduler = createScheduler(async () => {
+      throw blockedError('DO_NOT_CALL');
+    });
+
+    const callSid = createSid('CA');
+    await scheduler.register('sim.example.com', callSid, { number: '+15556660002' }, POLICY);
+    await scheduler.handleOutcome(callSid, callSid, 'no-answer');
+
+    const conversation = await eventually(async () => {
+      const current = scheduler.get(callSid);
+      assert.equal(current.status, 'done');
+      return current;
+    });
+    assert.equal(conversation.attempts[1].outcome, 'blocked');
+  });
+
+  test('tells retries when the calling hours open again', () => {
+    const options = {
+      callingHours: { start: '08:00', end: '21:00', days: [1, 2, 3, 4, 5] },
+      // Friday evening in London, and Monday morning in London but still Sunday night in Los Angeles
+      date: new Date('2026-01-09T22:00:00Z'),
+      withRetryAfter: true,
+    };
+
+    const london = checkCallingHours('+442071234567', options);
+    const unitedStates = checkCallingHours('+12125550123', { ...options, date: new Date('2026-01-12T07:00:00Z') });
+    const withoutRetryAfter = checkCallingHours('+442071234567', { ...options, withRetryAfter: false });
+
+    assert.equal(london.details.retry_after, '2026-01-12T08:00:00.000Z');
+    // 08:00 in Los Angeles, the last of the US timezones to open
+    assert.equal(unitedStates.details.retry_after, '2026-01-12T16:00:00.000Z');
+    assert.equal(withoutRetryAfter.details.retry_after, undefined);
+  });
+
+  test('keeps a campaign tick over contacts outside the calling hours cheap', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-assistant-test-'));
+    let checked = 0;
+    let checkingMs = 0;
+    const campaigns = createCampaignManager({
+      initiateCall: async () => assert.fail('Blocked contacts must not be dialed'),
+      getCallStatus: async () => 'queued',
+      // Never open, so every check of the US numbers goes through all their timezones
+      checkContact: (contact) => {
+        const started = performance.now();
+        const blocked = checkCallingHours(contact.number, { callingHours: { start: '08:00', end: '21:00', days: [] } });
+        checkingMs += performance.now() - started;
+        checked += 1;
+        return blocked;
+      },
+      storePath: path.join(dataDir, 'campaigns.json'),
+      tickIntervalMs: 20,
+    });
+
+    const contacts = Array.from({ length: 1000 }, (_, index) => ({ number: `+1212555${String(index).padStart(4, '0')}` }));
+    const campaign = await campaigns.create('sim.example.com', { contacts });
+
+    await eventually(async () => assert.ok(checked >= contacts.length));
+    assert.ok(checkingMs < 500, `Checking ${contacts.length} contacts took ${Math.round(checkingMs)}ms`);
+
+    await campaigns.cancel(campaign.id);
+  });
+});
@@ -0,0 +1,114 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './harness.js';
+
+const NEW_YORK = '+12125550100';
+const SAN_FRANCISCO = '+14155550100';
+const LONDON = '+442071230100';
+
+describe('caller-ID pool', () => {
+  let sim;
+
+  before(async () => {
+    sim = await startApp({ CALLER_ID_DAILY_CAP: '2' });
+
+    sim.twilio.addPhoneNumber(NEW_YORK);
+    sim.twilio.addPhoneNumber(SAN_FRANCISCO);
+    sim.twilio.addPhoneNumber(LONDON, { verified: true });
+
+    for (const number of [NEW_YORK, SAN_FRANCISCO, LONDON]) {
+      const { statusCode } = await sim.api('POST', '/caller-ids', { number });
+      assert.equal(statusCode, 201);
+    }
+  });
+
+  after(() => sim.close());
+
+  // Helper function to place an outbound call and get the number it was placed from
+  const callFrom = async (number, body = {}) => {
+    const response = await sim.api('POST', '/outbound-call', { number, ...body });
+    const call = sim.twilio.created.find(({ sid }) => sid === response.body.callSid);
+    return { ...response, from: call?.from };
+  };
+
+  test('checks numbers before adding them to the pool', async () => {
+    const duplicate = await sim.api('POST', '/caller-ids', { number: LONDON });
+    const invalid = await sim.api('POST', '/caller-ids', { number: '020 7123 0100' });
+    const notOurs = await sim.api('POST', '/caller-ids', { number: '+12125550199' });
+    const unknown = await sim.api('GET', '/caller-ids/+15550000000');
+
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(notOurs.statusCode, 400);
+    assert.equal(notOurs.body.error.details[0].field, 'body.number');
+    assert.equal(unknown.statusCode, 404);
+  });
+
+  test('calls from the number closest to the callee, and from the same number again', async () => {
+    const sanFrancisco = await callFrom('+14155559001');
+    const london = await callFrom('+442079469001');
+    const again = await callFrom('+14155559001');
+
+    assert.equal(sanFrancisco.from, SAN_FRANCISCO);
+    assert.equal(sanFrancisco.body.from, SAN_FRANCISCO);
+    assert.equal(london.from, LONDON);
+    assert.equal(again.from, SAN_FRANCISCO);
+  });
+
+  test('rotates to other numbers once a number reached its daily cap', async () => {
+    // San Francisco made both of its calls today, so the next call in its area goes out from another US number
+    const { from } = await callFrom('+14155559002');
+    assert.equal(from, NEW_YORK);
+
+    await sim.api('PUT', `/caller-ids/${LONDON}`, { enabled: false });
+    await callFrom('+12125559001');
+
+    const exhausted = await callFrom('+12125559002');
+    assert.equal(exhausted.statusCode, 429);
+    assert.equal(exhausted.body.error.code, 'CALLER_IDS_EXHAUSTED');
+
+    // A higher cap puts the number back in rotation
+    await sim.api('PUT', `/caller-ids/${NEW_YORK}`, { daily_cap: 5 });
+    const raised = await callFrom('+12125559002');
+    assert.equal(raised.from, NEW_YORK);
+
+    const { body } = await sim.api('GET', `/caller-ids/${NEW_YORK}`);
+    assert.deepEqual(body.callerId.usage, { day: body.callerId.usage.day, calls: 3, dailyCap: 5, available: true });
+  });
+
+  test('keeps concurrent calls within the daily cap', async () => {
+    await sim.api('PUT', `/caller-ids/${NEW_YORK}`, { daily_cap: 4 });
+
+    // New York has one call left today, Twilio fails the first call placed with it
+    sim.twilio.failNextCall(400, 21211, 'Invalid To number');
+    const failed = await callFrom('+12125559004');
+    const calls = await Promise.all(['+12125559005', '+12125559006', '+12125559007'].map((number) => callFrom(number)));
+
+    assert.equal(failed.statusCode, 400);
+    assert.deepEqual(calls.map(({ statusCode }) => statusCode).sort(), [200, 429, 429]);
+  });
+
+  test('calls from an explicit number of ours only', async () => {
+    const explicit = await callFrom('+14155559003', { from: LONDON });
+    const unowned = await callFrom('+14155559004', { from: '+15550000000' });
+
+    assert.equal(explicit.from, LONDON);
+    assert.equal(unowned.statusCode, 400);
+    assert.equal(unowned.body.error.code, 'VALIDATION_FAILED');
+  });
+
+  test('reports the answer rate of each number', async () => {
+    const { body: placed } = await sim.api('POST', '/outbound-call', { number: '+12125559003', from: NEW_YORK });
+    const call = sim.twilio.created.find(({ sid }) => sid === placed.callSid);
+    const { pathname, search } = new URL(call.statusCallback);
+
+    const response = await sim.webhook(`${pathname}${search}`, { CallSid: call.sid, CallStatus: 'no-answer', To: call.to });
+    assert.equal(response.statusCode, 204);
+
+    const { body } = await sim.api('GET', '/caller-ids/stats');
+    const newYork = body.stats.find(({ number }) => number === NEW_YORK);
+    assert.equal(newYork.calls, 5);
+    assert.equal(newYork.unanswered, 1);
+    assert.equal(newYork.answerRate, 0);
+  });
+});
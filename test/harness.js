@@ -0,0 +1,109 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildApp } from '../app.js';
+import {
+  connectMediaStream,
+  createFakeElevenLabsServer,
+  createFakeTwilioClient,
+  createSid,
+  parseStreamTwiml,
+  signTwilioRequest,
+} from '../simulator/index.js';
+
+export const API_TOKEN = 'sim-api-token';
+export const TWILIO_AUTH_TOKEN = 'sim-auth-token';
+export const HOST = 'sim.example.com';
+
+// Starts the app against the simulator, with memory storage and a throwaway data directory.
+// Returns helpers to call the API, send Twilio webhooks and open media streams.
+// Options are passed on to buildApp, e.g. the client factories for tenants with their own accounts.
+export const startApp = async (envOverrides = {}, options = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-assistant-test-'));
+  const twilio = createFakeTwilioClient();
+  const elevenLabs = await createFakeElevenLabsServer();
+
+  const env = {
+    TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER: '+15550001111',
+    ELEVENLABS_AGENT_ID: 'sim-agent',
+    TOKEN: API_TOKEN,
+    STREAM_TOKEN_SECRET: 'sim-stream-secret',
+    STORAGE_BACKEND: 'memory',
+    SESSION_STORE: 'memory',
+    CALLING_HOURS: '',
+    INBOUND_ROUTING_PATH: path.join(dataDir, 'inbound-routing.json'),
+    TOOLS_CONFIG_PATH: path.join(dataDir, 'tools.json'),
+    ...envOverrides,
+  };
+
+  const app = buildApp({ env, twilioClient: twilio, elevenLabs, dataDir, ...options });
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const { port } = app.server.address();
+
+  // Calls the API as the admin
+  const api = async (method, url, body, { token = API_TOKEN, headers = {} } = {}) => {
+    const response = await app.inject({
+      method,
+      url,
+      headers: { host: HOST, ...headers, ...(token ? { authorization: `Bearer ${token}` } : {}) },
+      ...(body !== undefined ? { payload: body } : {}),
+    });
+    return { statusCode: response.statusCode, body: response.json() };
+  };
+
+  // Sends a form-encoded webhook signed like Twilio does, by default for the environment's account
+  const webhook = async (url, params, { signature, authToken = TWILIO_AUTH_TOKEN } = {}) =>
+    app.inject({
+      method: 'POST',
+      url,
+      headers: {
+        host: HOST,
+        'content-type': 'application/x-www-form-urlencoded',
+        'x-twilio-signature': signature ?? signTwilioRequest(authToken, `https://${HOST}${url}`, params),
+      },
+      payload: new URLSearchParams(params).toString(),
+    });
+
+  // Opens the media stream the TwiML points at, on the local port instead of the public host
+  const openStream = (twiml, callSid) => {
+    const { url, parameters } = parseStreamTwiml(twiml);
+    return connectMediaStream(`ws://127.0.0.1:${port}${new URL(url).pathname}`, { callSid, parameters });
+  };
+
+  // Answers an outbound call placed through the fake Twilio client: fetches its TwiML and opens the stream
+  const answer = async (call, { authToken } = {}) => {
+    const { pathname, search } = new URL(call.url);
+    const response = await webhook(`${pathname}${search}`, {
+      CallSid: call.sid,
+      AccountSid: createSid('AC'),
+      CallStatus: 'in-progress',
+      From: call.from,
+      To: call.to,
+    }, { authToken });
+    return openStream(response.body, call.sid);
+  };
+
+  const close = async () => {
+    await app.close();
+    await elevenLabs.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { app, env, port, twilio, elevenLabs, api, webhook, openStream, answer, close };
+};
+
+// Helper function to poll until a check passes, for state that is written asynchronously
+export const eventually = async (check, { timeoutMs = 2000, intervalMs = 20 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  }
+};
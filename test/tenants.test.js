@@ -0,0 +1,274 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeTwilioClient, createSid } from '../simulator/index.js';
+import { eventually, startApp } from './harness.js';
+
+const ACME_AUTH_TOKEN = 'acme-auth-token';
+const ACME_NUMBERS = ['+15553330001', '+15553330002'];
+
+describe('tenants', () => {
+  let sim;
+  let acmeKey;
+  // The fake Twilio account of the tenant, and the ElevenLabs keys signed URLs were requested with
+  const acmeTwilio = createFakeTwilioClient();
+  const elevenLabsKeys = [];
+
+  before(async () => {
+    sim = await startApp({}, {
+      twilioClientFactory: (accountSid, authToken) => {
+        assert.equal(authToken, ACME_AUTH_TOKEN);
+        return acmeTwilio;
+      },
+      elevenLabsClientFactory: ({ apiKey, defaultAgentId }) => ({
+        getSignedUrl: (agentId) => {
+          elevenLabsKeys.push(apiKey);
+          return sim.elevenLabs.getSignedUrl(agentId || defaultAgentId);
+        },
+      }),
+    });
+
+    const { statusCode, body } = await sim.api('POST', '/tenants', {
+      id: 'acme',
+      name: 'Acme',
+      twilio_account_sid: `AC${'0'.repeat(32)}`,
+      twilio_auth_token: ACME_AUTH_TOKEN,
+      phone_numbers: ACME_NUMBERS,
+      elevenlabs_api_key: 'acme-elevenlabs-key',
+      elevenlabs_agent_id: 'acme-agent',
+    });
+    assert.equal(statusCode, 201);
+    assert.equal(body.tenant.twilio_auth_token, '...oken');
+
+    const created = await sim.api('POST', '/api-keys', { client: 'acme-crm', scopes: ['calls', 'campaigns', 'monitor'], tenant: 'acme' });
+    acmeKey = created.body.key;
+  });
+
+  after(() => sim.close());
+
+  test('checks tenants before storing them', async () => {
+    const duplicate = await sim.api('POST', '/tenants', { id: 'acme' });
+    const reserved = await sim.api('POST', '/tenants', { id: 'default' });
+    const takenNumber = await sim.api('POST', '/tenants', { id: 'globex', phone_numbers: [ACME_NUMBERS[0]] });
+    const unsigned = await sim.api('POST', '/tenants', { id: 'globex', webhook_url: 'https://globex.example.com/hook' });
+
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(reserved.statusCode, 409);
+    assert.equal(takenNumber.statusCode, 409);
+    assert.equal(unsigned.statusCode, 400);
+    assert.equal(unsigned.body.error.code, 'VALIDATION_FAILED');
+
+    const { body } = await sim.api('GET', '/tenants');
+    assert.deepEqual(body.tenants.map(({ id }) => id), ['acme']);
+    assert.equal(body.tenants[0].elevenlabs_api_key, '...-key');
+  });
+
+  test('treats names of built-in properties as any other tenant id', async () => {
+    const unknown = await sim.api('GET', '/tenants/constructor');
+    const call = await sim.api('POST', '/outbound-call', { number: '+15553339011' }, { headers: { 'x-tenant-id': 'toString' } });
+    const created = await sim.api('POST', '/tenants', { id: 'constructor' });
+    const read = await sim.api('GET', '/tenants/constructor');
+    const deleted = await sim.api('DELETE', '/tenants/constructor');
+
+    assert.equal(unknown.statusCode, 404);
+    assert.equal(call.statusCode, 404);
+    assert.equal(created.statusCode, 201);
+    assert.equal(read.body.tenant.id, 'constructor');
+    assert.equal(deleted.statusCode, 200);
+  });
+
+  test('keeps tenant management to keys of no tenant', async () => {
+    const { statusCode } = await sim.api('GET', '/tenants', undefined, { token: acmeKey });
+    const keyWithScope = await sim.api('POST', '/api-keys', { client: 'acme-admin', scopes: ['tenants'], tenant: 'acme' });
+
+    assert.equal(statusCode, 403);
+    assert.equal(keyWithScope.statusCode, 400);
+  });
+
+  test('lets only admin keys act for another tenant', async () => {
+    const { body: created } = await sim.api('POST', '/api-keys', { client: 'dialer', scopes: ['calls'] });
+    const asAcme = { token: created.key, headers: { 'x-tenant-id': 'acme' } };
+
+    const call = await sim.api('POST', '/outbound-call', { number: '+15553339010' }, asAcme);
+    const calls = await sim.api('GET', '/calls', undefined, asAcme);
+
+    assert.equal(call.statusCode, 403);
+    assert.equal(call.body.error.code, 'FORBIDDEN');
+    assert.equal(calls.statusCode, 403);
+  });
+
+  test("places a tenant's calls with its own account, caller IDs and agent", async () => {
+    const placed = sim.twilio.created.length;
+    const first = await sim.api('POST', '/outbound-call', { number: '+15553339001' }, { token: acmeKey });
+    const second = await sim.api('POST', '/outbound-call', { number: '+15553339002' }, { token: acmeKey });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.statusCode, 200);
+    assert.equal(sim.twilio.created.length, placed);
+    assert.deepEqual(acmeTwilio.created.map(({ from }) => from), ACME_NUMBERS);
+
+    // Webhooks of the call are signed with the tenant's auth token
+    const call = acmeTwilio.created.find(({ sid }) => sid === first.body.callSid);
+    const conversationIndex = sim.elevenLabs.conversations.length;
+    const caller = await sim.answer(call, { authToken: ACME_AUTH_TOKEN });
+    const conversation = await sim.elevenLabs.waitForConversation(conversationIndex);
+    await conversation.initiation();
+
+    assert.equal(conversation.agentId, 'acme-agent');
+    assert.deepEqual(elevenLabsKeys, ['acme-elevenlabs-key']);
+
+    const monitored = await sim.api('GET', '/monitor/calls', undefined, { token: acmeKey });
+    assert.deepEqual(monitored.body.calls.map(({ callSid }) => callSid), [call.sid]);
+    const { body: defaultMonitor } = await sim.api('GET', '/monitor/calls');
+    assert.equal(defaultMonitor.calls.length, 0);
+
+    await caller.hangUp();
+    await conversation.closed;
+
+    // The call is stored in the tenant's namespace only
+    await eventually(async () => {
+      const { body } = await sim.api('GET', `/calls/${call.sid}`, undefined, { token: acmeKey });
+      assert.ok(body.call.endTime);
+    });
+    const asDefault = await sim.api('GET', `/calls/${call.sid}`);
+    const asAcme = await sim.api('GET', `/calls/${call.sid}`, undefined, { headers: { 'x-tenant-id': 'acme' } });
+    assert.equal(asDefault.statusCode, 404);
+    assert.equal(asAcme.statusCode, 200);
+  });
+
+  test("records the retries of a tenant's calls in its own storage", async () => {
+    const { body: placed } = await sim.api('POST', '/outbound-call', {
+      number: '+15553339007',
+      retry_policy: { max_attempts: 2 },
+    }, { token: acmeKey });
+
+    const asAcme = await sim.api('GET', `/calls/${placed.callSid}`, undefined, { token: acmeKey });
+    const asDefault = await sim.api('GET', `/calls/${placed.callSid}`);
+
+    assert.equal(asAcme.body.call.attempts[1].callSid, placed.callSid);
+    assert.equal(asDefault.statusCode, 404);
+  });
+
+  test('never calls from the default number for a tenant without numbers', async () => {
+    await sim.api('POST', '/tenants', { id: 'globex' });
+    const placed = sim.twilio.created.length;
+
+    const { statusCode, body } = await sim.api('POST', '/outbound-call', { number: '+15553339012' }, { headers: { 'x-tenant-id': 'globex' } });
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.error.code, 'NO_CALLER_ID');
+    assert.equal(sim.twilio.created.length, placed);
+    await sim.api('DELETE', '/tenants/globex');
+  });
+
+  test('rejects webhooks of a tenant signed with another account', async () => {
+    const call = acmeTwilio.created[1];
+    const { pathname, search } = new URL(call.url);
+
+    const response = await sim.webhook(`${pathname}${search}`, { CallSid: call.sid, CallStatus: 'in-progress', To: call.to });
+
+    assert.equal(response.statusCode, 403);
+  });
+
+  test('routes inbound calls by the number they were made to', async () => {
+    const callSid = createSid('CA');
+    const params = { CallSid: callSid, From: '+15553339003', To: ACME_NUMBERS[1], CallStatus: 'ringing' };
+
+    const forged = await sim.webhook('/inbound-call', params);
+    assert.equal(forged.statusCode, 403);
+
+    const response = await sim.webhook('/inbound-call', params, { authToken: ACME_AUTH_TOKEN });
+    assert.equal(response.statusCode, 200);
+
+    const { statusCode } = await sim.api('GET', `/calls/${callSid}`, undefined, { token: acmeKey });
+    assert.equal(statusCode, 200);
+  });
+
+  test("reuses a callback's variables within its tenant only", async () => {
+    const number = '+15553339006';
+    await sim.api('POST', '/outbound-call', { number, elevenlabs_agent_id: 'acme-private-agent' }, { token: acmeKey });
+
+    // Helper function to answer an inbound call from the number and get the agent it reached
+    const callBack = async (to, authToken) => {
+      const callSid = createSid('CA');
+      const conversationIndex = sim.elevenLabs.conversations.length;
+      const response = await sim.webhook('/inbound-call', { CallSid: callSid, From: number, To: to, CallStatus: 'ringing' }, { authToken });
+      const caller = await sim.openStream(response.body, callSid);
+      const conversation = await sim.elevenLabs.waitForConversation(conversationIndex);
+      await conversation.initiation();
+      await caller.hangUp();
+      await conversation.closed;
+      return conversation.agentId;
+    };
+
+    assert.equal(await callBack(sim.env.TWILIO_PHONE_NUMBER), 'sim-agent');
+    assert.equal(await callBack(ACME_NUMBERS[0], ACME_AUTH_TOKEN), 'acme-private-agent');
+  });
+
+  test("keeps templates to their tenant's keys", async () => {
+    const asAcme = { headers: { 'x-tenant-id': 'acme' } };
+    const created = await sim.api('POST', '/templates', { name: 'renewal', elevenlabs_agent_id: 'acme-private-agent' }, asAcme);
+    assert.equal(created.statusCode, 201);
+
+    const read = await sim.api('GET', '/templates/renewal');
+    const deleted = await sim.api('DELETE', '/templates/renewal');
+    const call = await sim.api('POST', '/outbound-call', { number: '+15553339008', template: 'renewal' });
+    const { body: list } = await sim.api('GET', '/templates');
+
+    assert.equal(read.statusCode, 404);
+    assert.equal(deleted.statusCode, 404);
+    assert.equal(call.body.error.code, 'TEMPLATE_NOT_FOUND');
+    assert.equal(list.templates.length, 0);
+
+    const acmeCall = await sim.api('POST', '/outbound-call', { number: '+15553339008', template: 'renewal' }, { token: acmeKey });
+    assert.equal(acmeCall.statusCode, 200);
+  });
+
+  test('keeps do-not-call entries away from keys of a tenant', async () => {
+    const { body: created } = await sim.api('POST', '/api-keys', { client: 'acme-compliance', scopes: ['compliance'], tenant: 'acme' });
+    const complianceKey = { token: created.key };
+    const number = '+15553339009';
+    await sim.api('POST', '/do-not-call', { number, reason: 'Said during call: "stop calling me"' });
+
+    const list = await sim.api('GET', '/do-not-call', undefined, complianceKey);
+    const removed = await sim.api('DELETE', `/do-not-call/${encodeURIComponent(number)}`, undefined, complianceKey);
+    const check = await sim.api('GET', `/compliance/check?number=${encodeURIComponent(number)}`, undefined, complianceKey);
+    const added = await sim.api('POST', '/do-not-call', { number }, complianceKey);
+
+    assert.equal(list.statusCode, 403);
+    assert.equal(removed.statusCode, 403);
+    assert.equal(check.body.allowed, false);
+    assert.equal(check.body.blocked.details.reason, undefined);
+    assert.equal(added.statusCode, 201);
+    assert.equal(added.body.entry.reason, undefined);
+
+    // The shared list still blocks the tenant's calls
+    const call = await sim.api('POST', '/outbound-call', { number }, { token: acmeKey });
+    assert.equal(call.body.error.code, 'DO_NOT_CALL');
+    assert.equal(call.body.error.details.reason, undefined);
+  });
+
+  test("keeps campaigns to their tenant's keys", async () => {
+    const { body } = await sim.api('POST', '/campaigns', {
+      contacts: [{ number: '+15553339004' }],
+    }, { token: acmeKey });
+
+    const asAcme = await sim.api('GET', `/campaigns/${body.campaign.id}`, undefined, { token: acmeKey });
+    const asDefault = await sim.api('GET', `/campaigns/${body.campaign.id}`);
+    const { body: defaultList } = await sim.api('GET', '/campaigns');
+
+    assert.equal(asAcme.body.campaign.tenant, 'acme');
+    assert.equal(asDefault.statusCode, 404);
+    assert.equal(defaultList.campaigns.length, 0);
+
+    await sim.api('POST', `/campaigns/${body.campaign.id}/cancel`, undefined, { token: acmeKey });
+  });
+
+  test('stops the keys of a deleted tenant', async () => {
+    const { statusCode } = await sim.api('DELETE', '/tenants/acme');
+    assert.equal(statusCode, 200);
+
+    const response = await sim.api('POST', '/outbound-call', { number: '+15553339005' }, { token: acmeKey });
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.body.error.code, 'FORBIDDEN');
+  });
+});
@@ -0,0 +1,197 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { readJsonFile } from './json-file.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tools');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const JSON_TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+};
+
+// Helper function to check tool parameters against the tool's declared schema.
+// Covers the subset of JSON schema agents use: required fields, property types and enums.
+// Returns a list of problems, empty when the parameters are fine.
+export const validateParameters = (schema, parameters) => {
+  if (!schema) {
+    return [];
+  }
+
+  const problems = [];
+  const values = parameters ?? {};
+
+  if (!JSON_TYPES.object(values)) {
+    return ['parameters must be an object'];
+  }
+
+  for (const name of schema.required || []) {
+    if (values[name] === undefined || values[name] === null) {
+      problems.push(`${name} is required`);
+    }
+  }
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (property.type && JSON_TYPES[property.type] && !JSON_TYPES[property.type](value)) {
+      problems.push(`${name} must be of type ${property.type}`);
+    }
+    if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+      problems.push(`${name} must be one of: ${property.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+};
+
+// Helper function to reject a promise that takes longer than the tool's timeout
+const withTimeout = (promise, timeoutMs, name) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Tool ${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Tool registry: client tools the ElevenLabs agent can call during a conversation.
+// Each tool is handled by a local JS module (or function) or by POSTing to a webhook.
+export const createToolRegistry = ({ baseDir = process.cwd(), defaultTimeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const tools = new Map();
+  const loadedHandlers = new Map();
+
+  // Handler modules are imported on first use and export a default async function
+  const loadHandler = async (tool) => {
+    if (typeof tool.handler === 'function') {
+      return tool.handler;
+    }
+
+    if (!loadedHandlers.has(tool.name)) {
+      const modulePath = pathToFileURL(path.resolve(baseDir, tool.handler)).href;
+      const module = await import(modulePath);
+      const handler = module.default || module.handler;
+      if (typeof handler !== 'function') {
+        throw new Error(`Tool module ${tool.handler} does not export a handler function`);
+      }
+      loadedHandlers.set(tool.name, handler);
+    }
+    return loadedHandlers.get(tool.name);
+  };
+
+  const callWebhook = async (tool, parameters, context, timeoutMs) => {
+    const response = await fetch(tool.webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(tool.webhook.headers || {}),
+      },
+      body: JSON.stringify({
+        tool: tool.name,
+        tool_call_id: context.toolCallId,
+        parameters,
+        call: { callSid: context.callSid, phoneNumber: context.phoneNumber },
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    // A JSON reply may wrap the value in { result }, anything else is passed on as is
+    try {
+      const body = JSON.parse(text);
+      return body && typeof body === 'object' && 'result' in body ? body.result : body;
+    } catch {
+      return text;
+    }
+  };
+
+  const registry = {
+    register(tool) {
+      if (!tool?.name) {
+        throw new Error('A tool needs a name');
+      }
+      if (!tool.handler && !tool.webhook?.url) {
+        throw new Error(`Tool ${tool.name} needs a handler module or a webhook url`);
+      }
+
+      tools.set(tool.name, tool);
+      loadedHandlers.delete(tool.name);
+      log.info(`Registered ${tool.name} (${tool.webhook ? 'webhook' : 'handler'})`);
+    },
+
+    has(name) {
+      return tools.has(name);
+    },
+
+    list() {
+      return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    },
+
+    // Runs a tool and never throws: failures come back as an error result for the agent
+    async invoke(name, parameters, context = {}) {
+      const startedAt = Date.now();
+      const tool = tools.get(name);
+
+      const finish = (result, isError) => ({
+        result: typeof result === 'string' ? result : JSON.stringify(result ?? null),
+        isError,
+        durationMs: Date.now() - startedAt,
+      });
+
+      if (!tool) {
+        return finish(`Unknown tool: ${name}`, true);
+      }
+
+      const problems = validateParameters(tool.parameters, parameters);
+      if (problems.length > 0) {
+        return finish(`Invalid parameters: ${problems.join('; ')}`, true);
+      }
+
+      const timeoutMs = tool.timeout_ms || defaultTimeoutMs;
+
+      try {
+        const result = tool.webhook
+          ? await callWebhook(tool, parameters ?? {}, context, timeoutMs)
+          : await withTimeout(
+            loadHandler(tool).then((handler) => handler(parameters ?? {}, context)),
+            timeoutMs,
+            name
+          );
+        return finish(result, false);
+      } catch (error) {
+        log.error({ err: error }, `${name} failed`);
+        return finish(`Tool ${name} failed: ${error.message}`, true);
+      }
+    },
+  };
+
+  return registry;
+};
+
+// Helper function to build a registry from the tools config file.
+// { "tools": [{ "name", "description", "parameters", "handler" | "webhook", "timeout_ms" }] }
+export const loadToolRegistry = (configPath, options) => {
+  const registry = createToolRegistry({ baseDir: path.dirname(configPath), ...options });
+  const { tools = [] } = readJsonFile(configPath, {});
+
+  for (const tool of tools) {
+    try {
+      registry.register(tool);
+    } catch (error) {
+      log.error({ err: error }, 'Skipping invalid tool');
+    }
+  }
+
+  return registry;
+};
@@ -0,0 +1,55 @@
+// Transcript export: turns the logs of a call into JSON, plain text or SRT subtitles
+
+const SPEAKERS = { agent: 'Agent', human: 'Caller' };
+
+// How long the last line of an SRT transcript stays on screen
+const LAST_CUE_MS = 3000;
+
+export const TRANSCRIPT_FORMATS = ['json', 'text', 'srt'];
+
+// Helper function to pick the spoken turns out of a call's logs, in order
+export const buildTranscript = (logs) =>
+  Object.values(logs || {})
+    .filter((entry) => SPEAKERS[entry.source] && entry.message)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ source, message, timestamp }) => ({ role: source, message, timestamp }));
+
+// Helper function to format milliseconds as an SRT timestamp (HH:MM:SS,mmm)
+const toSrtTime = (ms) => {
+  const value = Math.max(0, Math.round(ms));
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  return `${pad(Math.floor(value / 3600000))}:${pad(Math.floor(value / 60000) % 60)}:${pad(Math.floor(value / 1000) % 60)},${pad(value % 1000, 3)}`;
+};
+
+// Helper function to render a transcript in one of TRANSCRIPT_FORMATS.
+// Returns { contentType, body }.
+export const formatTranscript = (call, transcript, format = 'json') => {
+  if (format === 'text') {
+    const lines = transcript.map(({ role, message, timestamp }) =>
+      `[${new Date(timestamp).toISOString()}] ${SPEAKERS[role]}: ${message}`);
+    return { contentType: 'text/plain; charset=utf-8', body: `${lines.join('\n')}\n` };
+  }
+
+  if (format === 'srt') {
+    // Cues are timed from the start of the call; each lasts until the next one begins
+    const start = call.startTime || transcript[0]?.timestamp || 0;
+    const cues = transcript.map(({ role, message, timestamp }, index) => {
+      const next = transcript[index + 1];
+      const end = next ? next.timestamp : timestamp + LAST_CUE_MS;
+      return `${index + 1}\n${toSrtTime(timestamp - start)} --> ${toSrtTime(end - start)}\n${SPEAKERS[role]}: ${message}\n`;
+    });
+    return { contentType: 'application/x-subrip; charset=utf-8', body: cues.join('\n') };
+  }
+
+  return {
+    contentType: 'application/json; charset=utf-8',
+    body: JSON.stringify({
+      callSid: call.callSid,
+      phoneNumber: call.phoneNumber,
+      startTime: call.startTime || null,
+      endTime: call.endTime || null,
+      status: call.status || null,
+      transcript,
+    }, null, 2),
+  };
+};
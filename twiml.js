@@ -0,0 +1,34 @@
+// TwiML helpers shared by the webhook routes
+
+// Helper function to escape values interpolated into TwiML
+export const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Helper function to build TwiML connecting a call to the media stream bridge
+export const buildStreamTwiml = (host, parameters) => {
+  const parameterTags = Object.entries(parameters)
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('\n            ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+        <Connect>
+        <Stream url="wss://${host}/outbound-media-stream">
+            ${parameterTags}
+        </Stream>
+        </Connect>
+    </Response>`;
+};
+
+// Helper function to build TwiML that tells the caller what happened and hangs up,
+// used when the agent can't be reached and to say goodbye on calls ended through the API
+export const buildFallbackTwiml = (message) => `<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+        <Say>${escapeXml(message)}</Say>
+        <Hangup />
+    </Response>`;